@@ -0,0 +1,166 @@
+// achievements.js
+// Achievements: long-term goals beyond the high score
+// - Declarative: each achievement is a table entry with per-game state and handlers keyed by
+//   core event type ("shot", "saucerDestroyed", "shipDestroyed", "waveCleared", ...) plus "tick"
+//   (once per simulation step); a handler that returns true unlocks it
+// - Fed the same way as stats.js: observe(game, events) after every step of a live game
+// - Unlocks are stored in localStorage as { version, unlocked: { id: isoDate } }
+// - Missing, corrupt or unknown-version data loads as nothing unlocked instead of throwing
+// - Loads as a plain <script> after store.js (window.AsteroidsAchievements) or with require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./store"));
+  else root.AsteroidsAchievements = factory(root.AsteroidsStore);
+})(typeof self !== "undefined" ? self : this, function (Store) {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.achievements";
+  const SCHEMA_VERSION = 1;
+  const EDGE_MARGIN = 30;     // "at the edge": a saucer centre this close to either side
+  const SURVIVE_MS = 5 * 60 * 1000;
+  const BOMB_SQUAD_ROCKS = 10;
+  const SHARPSHOOTER_SHOTS = 50;
+
+  // state: this achievement's own per-game object (start() fills it in)
+  // on[type](state, ev, game): return true to unlock
+  const ACHIEVEMENTS = [
+    {
+      id: "firstRock", name: "Rock Breaker", description: "Destroy your first asteroid",
+      on: { asteroidDestroyed: (s, ev) => ev.player !== null }
+    },
+    {
+      id: "drifter", name: "Drifter", description: "Clear a wave without thrusting",
+      start: s => { s.thrusted = false; },
+      on: {
+        tick: (s, ev, game) => { if (game.ships.some(ship => ship.thrusting)) s.thrusted = true; },
+        levelStarted: s => { s.thrusted = false; },
+        waveCleared: s => !s.thrusted
+      }
+    },
+    {
+      id: "flawless", name: "Untouchable", description: "Clear a wave without losing a ship",
+      start: s => { s.lost = false; },
+      on: {
+        shipDestroyed: s => { s.lost = true; },
+        levelStarted: s => { s.lost = false; },
+        waveCleared: s => !s.lost
+      }
+    },
+    {
+      id: "quickDraw", name: "Quick Draw", description: "Destroy a saucer with the first shot fired after it appears",
+      start: s => { s.shots = 0; },
+      on: {
+        saucerSpawned: s => { s.shots = 0; },
+        shot: s => { s.shots++; },
+        saucerDestroyed: (s, ev) => ev.cause === "bullet" && s.shots === 1
+      }
+    },
+    {
+      id: "welcomeCommittee", name: "Welcome Committee", description: "Shoot a saucer right at the edge of the screen",
+      on: {
+        saucerDestroyed: (s, ev, game) => ev.cause === "bullet" &&
+          (ev.x < EDGE_MARGIN || ev.x > game.width - EDGE_MARGIN)
+      }
+    },
+    {
+      id: "bombSquad", name: "Bomb Squad", description: "Destroy " + BOMB_SQUAD_ROCKS + " asteroids with one smart bomb",
+      start: s => { s.rocks = 0; },
+      on: {
+        smartBomb: s => { s.rocks = 0; },
+        asteroidDestroyed: (s, ev) => ev.cause === "bomb" && ++s.rocks >= BOMB_SQUAD_ROCKS
+      }
+    },
+    {
+      id: "survivor", name: "Survivor", description: "Keep a game going for 5 minutes",
+      on: { tick: (s, ev, game) => !game.gameOver && game.time >= SURVIVE_MS }
+    },
+    {
+      id: "wave10", name: "Deep Space", description: "Reach wave 10",
+      on: { levelStarted: (s, ev) => ev.level >= 10 }
+    },
+    {
+      id: "sixFigures", name: "Six Figures", description: "Reach 100,000 points",
+      on: { tick: (s, ev, game) => game.score >= 100000 }
+    },
+    {
+      id: "sharpshooter", name: "Sharpshooter",
+      description: "Finish a game with 50% accuracy or better (at least " + SHARPSHOOTER_SHOTS + " shots)",
+      start: s => { s.shots = 0; s.hits = 0; },
+      on: {
+        shot: (s, ev) => { s.shots += ev.count; },
+        // a laser going through several rocks is one hit
+        asteroidDestroyed: (s, ev) => { if (ev.player !== null && !ev.cause && !ev.pierced) s.hits++; },
+        saucerDestroyed: (s, ev) => { if (ev.cause === "bullet" && !ev.pierced) s.hits++; },
+        gameOver: s => s.shots >= SHARPSHOOTER_SHOTS && s.hits / s.shots >= 0.5
+      }
+    }
+  ];
+
+  // opts.onUnlock(achievement): called once per new unlock
+  function createAchievements(storage, opts = {}) {
+    const onUnlock = opts.onUnlock || (() => {});
+    const store = Store.createStore(storage, STORAGE_KEY, SCHEMA_VERSION, "Achievements");
+    let unlocked = load();
+    let states = null; // per-achievement state for the game being played
+
+    function load() {
+      return store.load(data => {
+        if (!data.unlocked || typeof data.unlocked !== "object") return null;
+        const out = {};
+        for (const a of ACHIEVEMENTS) {
+          const date = data.unlocked[a.id];
+          if (typeof date === "string" && !isNaN(Date.parse(date))) out[a.id] = date;
+        }
+        return out;
+      }) || {};
+    }
+
+    function save() { store.save({ unlocked }); }
+
+    function unlock(a) {
+      unlocked[a.id] = new Date().toISOString();
+      save();
+      onUnlock(a);
+    }
+
+    function dispatch(game, ev) {
+      for (const a of ACHIEVEMENTS) {
+        if (unlocked[a.id]) continue;
+        const handler = a.on[ev.type];
+        if (handler && handler(states[a.id], ev, game) === true) unlock(a);
+      }
+    }
+
+    return {
+      // Every achievement with its unlock date (null while locked), in gallery order
+      get list() {
+        return ACHIEVEMENTS.map(a => ({ id: a.id, name: a.name, description: a.description, unlocked: unlocked[a.id] || null }));
+      },
+      get unlockedCount() { return Object.keys(unlocked).length; },
+
+      // A new game starts counting
+      begin() {
+        states = {};
+        for (const a of ACHIEVEMENTS) {
+          states[a.id] = {};
+          if (a.start) a.start(states[a.id]);
+        }
+      },
+
+      // One step of the game being counted: a "tick", then its events in order
+      observe(game, events) {
+        if (!states) return;
+        dispatch(game, { type: "tick" });
+        for (const ev of events) {
+          dispatch(game, ev);
+          if (ev.type === "gameOver") { states = null; return; }
+        }
+      },
+
+      clear() { unlocked = {}; save(); },
+      reload() { unlocked = load(); }
+    };
+  }
+
+  return { STORAGE_KEY, SCHEMA_VERSION, ACHIEVEMENTS, createAchievements };
+});
@@ -0,0 +1,307 @@
+// audio.js
+// Audio subsystem: sound table, mixer and procedural fallbacks
+// - Mixer: master gain -> destination, with "sfx" and "music" category gains under it
+// - Master/SFX/music volume and mute are saved in localStorage
+// - Every sound has a synth recipe; it is used whenever the mp3 is missing or won't decode,
+//   and for sounds with no file at all (thrust, hyperspace, ...)
+// - Heartbeat: the classic two-tone background beat, faster as the wave thins out
+// - Loads as a plain <script> (window.AsteroidsAudio)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsAudio = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.audio";
+  const SETTINGS_VERSION = 1;
+  const DEFAULT_SETTINGS = { master: 1, sfx: 1, music: 0.6, muted: false };
+
+  // -------------------------
+  // Procedural sounds: sample(t, p) gets time in seconds and progress 0..1 and returns -1..1
+  // -------------------------
+  function renderBuffer(ctx, seconds, sample) {
+    const rate = ctx.sampleRate;
+    const len = Math.max(1, Math.floor(seconds * rate));
+    const buf = ctx.createBuffer(1, len, rate);
+    const data = buf.getChannelData(0);
+    for (let i = 0; i < len; i++) data[i] = sample(i / rate, i / len);
+    return buf;
+  }
+
+  // sine sweep f0 -> f1 Hz over `seconds` (phase is the integral of the frequency)
+  function sweep(f0, f1, seconds) {
+    return t => Math.sin(2 * Math.PI * (f0 * t + (f1 - f0) * t * t / (2 * seconds)));
+  }
+
+  // white noise through a one-pole low-pass; smaller k = darker
+  function lowNoise(k) {
+    let y = 0;
+    return () => { y += k * ((Math.random() * 2 - 1) - y); return y; };
+  }
+
+  const SYNTHS = {
+    thrust: ctx => {
+      const n = lowNoise(0.08);
+      return renderBuffer(ctx, 1.0, () => n() * 2.5);
+    },
+    fire: ctx => {
+      const s = sweep(1200, 240, 0.15);
+      return renderBuffer(ctx, 0.15, (t, p) => Math.sign(s(t)) * 0.5 * (1 - p));
+    },
+    explode: ctx => {
+      const n = lowNoise(0.15);
+      return renderBuffer(ctx, 0.8, (t, p) => n() * 2 * Math.pow(1 - p, 3));
+    },
+    saucer: ctx => renderBuffer(ctx, 0.3, (t, p) =>
+      Math.sin(2 * Math.PI * (750 * t + 6 * Math.sin(2 * Math.PI * 18 * t))) * 0.5 * (1 - p)),
+    hyperspace: ctx => {
+      const s = sweep(1400, 120, 0.6);
+      return renderBuffer(ctx, 0.6, (t, p) => s(t) * (1 - p) * (1 - p));
+    },
+    shield: ctx => {
+      const s = sweep(180, 420, 0.35);
+      return renderBuffer(ctx, 0.35, (t, p) => s(t) * (0.6 + 0.4 * Math.sin(2 * Math.PI * 30 * t)) * (1 - p));
+    },
+    // engine hum while a saucer is on screen: a warbling drone; whole cycles in 1 s so it loops cleanly
+    saucerHum: ctx => renderBuffer(ctx, 1.0, t =>
+      (Math.sin(2 * Math.PI * (220 * t + 3 * Math.sin(2 * Math.PI * 4 * t))) * 0.6 +
+        Math.sin(2 * Math.PI * 110 * t) * 0.4) * 0.5),
+    // power-up pickups: one short cue each
+    powerRapid: ctx => renderBuffer(ctx, 0.3, (t, p) =>
+      Math.sign(Math.sin(2 * Math.PI * (600 + 600 * Math.floor(p * 6) / 6) * t)) * 0.3 * (1 - p)),
+    powerSpread: ctx => renderBuffer(ctx, 0.45, (t, p) =>
+      (Math.sin(2 * Math.PI * 440 * t) + Math.sin(2 * Math.PI * 554 * t) + Math.sin(2 * Math.PI * 659 * t)) / 3 * (1 - p)),
+    powerLaser: ctx => {
+      const s = sweep(2000, 400, 0.4);
+      return renderBuffer(ctx, 0.4, (t, p) => s(t) * (1 - p));
+    },
+    powerBomb: ctx => {
+      const n = lowNoise(0.04);
+      return renderBuffer(ctx, 1.4, (t, p) => (n() * 3 + Math.sin(2 * Math.PI * 45 * t) * 0.6) * Math.pow(1 - p, 2));
+    },
+    powerLife: ctx => renderBuffer(ctx, 0.5, (t, p) =>
+      Math.sin(2 * Math.PI * (p < 0.4 ? 660 : 880) * t) * 0.6 * (1 - p)),
+    beatLow: ctx => renderBuffer(ctx, 0.12, (t, p) => Math.sin(2 * Math.PI * 55 * t) * (1 - p)),
+    beatHigh: ctx => renderBuffer(ctx, 0.12, (t, p) => Math.sin(2 * Math.PI * 62 * t) * (1 - p))
+  };
+
+  // Sound table: file (optional), mix gain and category
+  const SOUNDS = {
+    thrust: { gain: 2.0, category: "sfx" },
+    fire: { file: "fire.mp3", gain: 0.1, category: "sfx" },
+    explode: { file: "explode.mp3", gain: 2.0, category: "sfx" },
+    saucer: { file: "saucer.mp3", gain: 1.0, category: "sfx" },
+    hyperspace: { gain: 0.5, category: "sfx" },
+    shield: { gain: 0.4, category: "sfx" },
+    saucerHum: { gain: 0.25, category: "sfx" },
+    powerRapid: { gain: 0.4, category: "sfx" },
+    powerSpread: { gain: 0.4, category: "sfx" },
+    powerLaser: { gain: 0.4, category: "sfx" },
+    powerBomb: { gain: 1.0, category: "sfx" },
+    powerLife: { gain: 0.4, category: "sfx" },
+    beatLow: { gain: 0.9, category: "music" },
+    beatHigh: { gain: 0.9, category: "music" }
+  };
+
+  function loadSettings(storage) {
+    try {
+      const data = JSON.parse(storage.getItem(STORAGE_KEY));
+      if (!data || data.version !== SETTINGS_VERSION) return Object.assign({}, DEFAULT_SETTINGS);
+      const out = Object.assign({}, DEFAULT_SETTINGS);
+      for (const k of ["master", "sfx", "music"]) {
+        if (Number.isFinite(data[k])) out[k] = Math.min(1, Math.max(0, data[k]));
+      }
+      out.muted = !!data.muted;
+      return out;
+    } catch (err) {
+      return Object.assign({}, DEFAULT_SETTINGS);
+    }
+  }
+
+  // opts.onChange(settings) runs after any volume/mute change
+  function createAudioManager(ctx, storage, opts = {}) {
+    const onChange = opts.onChange || (() => {});
+    const settings = loadSettings(storage);
+    const buffers = {};
+    // mix gain per sound, live-tunable
+    const gains = {};
+    for (const name of Object.keys(SOUNDS)) gains[name] = SOUNDS[name].gain;
+
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+    const categories = { sfx: ctx.createGain(), music: ctx.createGain() };
+    for (const c of Object.keys(categories)) categories[c].connect(master);
+
+    function applySettings() {
+      const t = ctx.currentTime;
+      master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, t, 0.02);
+      categories.sfx.gain.setTargetAtTime(settings.sfx, t, 0.02);
+      categories.music.gain.setTargetAtTime(settings.music, t, 0.02);
+    }
+    applySettings();
+
+    function changed() {
+      applySettings();
+      save();
+      onChange(Object.assign({}, settings));
+    }
+
+    function save() {
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(Object.assign({ version: SETTINGS_VERSION }, settings)));
+      } catch (err) {
+        console.warn("Audio settings not saved:", err);
+      }
+    }
+
+    async function loadFile(url) {
+      const r = await fetch(url);
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      const ab = await r.arrayBuffer();
+      return await ctx.decodeAudioData(ab);
+    }
+
+    const manager = {
+      ctx,
+      gains,
+
+      // Load every sound; onProgress(done, total) after each one. Never rejects:
+      // failed files fall back to their synth recipe.
+      async loadAll(onProgress) {
+        const names = Object.keys(SOUNDS);
+        let done = 0;
+        for (const name of names) {
+          const def = SOUNDS[name];
+          let buf = null;
+          if (def.file) {
+            try {
+              buf = await loadFile(def.file);
+            } catch (err) {
+              console.warn("Audio load failed, using synth fallback:", def.file, err);
+            }
+          }
+          buffers[name] = buf || SYNTHS[name](ctx);
+          done++;
+          if (onProgress) onProgress(done, names.length);
+        }
+      },
+
+      // Play a sound once (or looping); returns { src, gain } so callers can stop/fade it
+      play(name, { volume = 1, loop = false } = {}) {
+        const buf = buffers[name];
+        if (!buf) return null;
+        const src = ctx.createBufferSource();
+        src.buffer = buf;
+        src.loop = loop;
+        const gain = ctx.createGain();
+        gain.gain.value = volume * gains[name];
+        src.connect(gain).connect(categories[SOUNDS[name].category]);
+        src.start(0);
+        return { src, gain };
+      },
+
+      // Looping sound with a ramp in/out that is safe to start/stop every tick
+      createLoop(name, { fadeIn = 0.1, fadeOut = 0.25 } = {}) {
+        let node = null;
+        return {
+          get playing() { return !!node; },
+          start() {
+            if (node) return;
+            node = manager.play(name, { loop: true });
+            if (!node) return;
+            const t = ctx.currentTime;
+            node.gain.gain.setValueAtTime(0, t);
+            node.gain.gain.linearRampToValueAtTime(gains[name], t + fadeIn);
+          },
+          stop() {
+            if (!node) return;
+            const t = ctx.currentTime;
+            const g = node.gain.gain;
+            g.cancelScheduledValues(t);
+            g.setValueAtTime(g.value, t);
+            g.linearRampToValueAtTime(0, t + fadeOut);
+            const src = node.src;
+            setTimeout(() => { try { src.stop(); } catch (e) {} }, fadeOut * 1000 + 50);
+            node = null;
+          }
+        };
+      },
+
+      get settings() { return Object.assign({}, settings); },
+      setVolume(which, value) {
+        settings[which] = Math.min(1, Math.max(0, value));
+        changed();
+      },
+      setMuted(muted) {
+        settings.muted = !!muted;
+        changed();
+      },
+      toggleMute() { manager.setMuted(!settings.muted); return settings.muted; }
+    };
+    return manager;
+  }
+
+  // -------------------------
+  // Heartbeat: alternating low/high beat. update() is driven by game time so it stops
+  // with the simulation; fraction is how much of the wave is left (1 = untouched, 0 = cleared).
+  // -------------------------
+  const BEAT_SLOW_MS = 1000;
+  const BEAT_FAST_MS = 250;
+
+  function createHeartbeat(audio) {
+    let timer = 0;
+    let high = false;
+    return {
+      reset() { timer = 0; high = false; },
+      update(dt, fraction) {
+        timer -= dt;
+        if (timer > 0) return;
+        audio.play(high ? "beatHigh" : "beatLow");
+        high = !high;
+        const f = Math.min(1, Math.max(0, fraction));
+        timer = BEAT_FAST_MS + (BEAT_SLOW_MS - BEAT_FAST_MS) * f;
+      }
+    };
+  }
+
+  // -------------------------
+  // Settings screen section
+  // -------------------------
+  function renderAudioSettings(container, audio) {
+    container.replaceChildren();
+    const s = audio.settings;
+
+    function slider(label, which) {
+      const row = document.createElement("label");
+      row.className = "setting";
+      const text = document.createElement("span");
+      text.textContent = label;
+      const input = document.createElement("input");
+      input.type = "range";
+      input.min = "0";
+      input.max = "100";
+      input.value = String(Math.round(s[which] * 100));
+      input.addEventListener("input", () => audio.setVolume(which, Number(input.value) / 100));
+      row.append(text, input);
+      container.appendChild(row);
+    }
+
+    slider("Master", "master");
+    slider("Effects", "sfx");
+    slider("Heartbeat", "music");
+
+    const row = document.createElement("label");
+    row.className = "setting";
+    const text = document.createElement("span");
+    text.textContent = "Mute";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = s.muted;
+    box.addEventListener("change", () => audio.setMuted(box.checked));
+    row.append(text, box);
+    container.appendChild(row);
+  }
+
+  return { STORAGE_KEY, SOUNDS, SYNTHS, createAudioManager, createHeartbeat, renderAudioSettings };
+});
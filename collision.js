@@ -0,0 +1,133 @@
+// collision.js
+// Broad-phase collision on a wrap-around (torus) playfield
+// - Uniform grid: objects go into every cell their bounding box touches, wrapping at the edges,
+//   so an asteroid straddling the right edge is also found from the left edge
+// - Cells are sized to tile the playfield exactly, so wrapped cells line up
+// - Narrow phase helpers measure the shortest distance across the wrap
+// - Polygon tests (point-in-polygon, polygon overlap) for shapes given as [[x, y], ...]
+// - wrapOffsets() tells renderers where to draw the ghost copies of an edge-straddling object
+// - Loads as a plain <script> (window.AsteroidsCollision) or with require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsCollision = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_CELL = 64; // about a large asteroid's diameter
+
+  // Shortest signed difference a - b on a loop of the given size
+  function wrapDelta(a, b, size) {
+    let d = (a - b) % size;
+    if (d > size / 2) d -= size;
+    else if (d < -size / 2) d += size;
+    return d;
+  }
+
+  function wrapDist(ax, ay, bx, by, width, height) {
+    return Math.hypot(wrapDelta(ax, bx, width), wrapDelta(ay, by, height));
+  }
+
+  // Draw offsets for an object of radius r at (x, y): always [0, 0], plus one copy per edge it
+  // crosses (and the diagonal copy when it sits on a corner)
+  function wrapOffsets(x, y, r, width, height) {
+    const xs = [0], ys = [0];
+    if (x - r < 0) xs.push(width); else if (x + r > width) xs.push(-width);
+    if (y - r < 0) ys.push(height); else if (y + r > height) ys.push(-height);
+    const out = [];
+    for (const ox of xs) for (const oy of ys) out.push([ox, oy]);
+    return out;
+  }
+
+  // Even-odd ray cast; works for concave outlines like the asteroids'
+  function pointInPolygon(x, y, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const [xi, yi] = poly[i], [xj, yj] = poly[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function segmentsCross(a, b, c, d) {
+    const cross = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+  }
+
+  // Two polygons overlap if any edges cross or one sits wholly inside the other
+  function polygonsOverlap(p, q) {
+    for (let i = 0, j = p.length - 1; i < p.length; j = i++) {
+      for (let k = 0, l = q.length - 1; k < q.length; l = k++) {
+        if (segmentsCross(p[j], p[i], q[l], q[k])) return true;
+      }
+    }
+    return pointInPolygon(p[0][0], p[0][1], q) || pointInPolygon(q[0][0], q[0][1], p);
+  }
+
+  class SpatialGrid {
+    constructor(width, height, cellSize = DEFAULT_CELL) {
+      this.cellSize = cellSize;
+      this.cells = [];
+      this.seen = new Set();
+      this.resize(width, height);
+    }
+
+    resize(width, height) {
+      this.width = width;
+      this.height = height;
+      this.cols = Math.max(1, Math.floor(width / this.cellSize));
+      this.rows = Math.max(1, Math.floor(height / this.cellSize));
+      this.cellW = width / this.cols;
+      this.cellH = height / this.rows;
+      this.cells = [];
+      for (let i = 0; i < this.cols * this.rows; i++) this.cells.push([]);
+    }
+
+    // Empty every cell but keep the arrays, so a per-tick rebuild doesn't allocate
+    clear() {
+      for (const cell of this.cells) cell.length = 0;
+    }
+
+    // Calls fn(cell) for every cell the box around (x, y) +/- r touches, wrapping at the edges
+    forCells(x, y, r, fn) {
+      const c0 = Math.floor((x - r) / this.cellW), c1 = Math.floor((x + r) / this.cellW);
+      const r0 = Math.floor((y - r) / this.cellH), r1 = Math.floor((y + r) / this.cellH);
+      // a box wider than the field would visit cells twice; clamp to one lap
+      const cEnd = Math.min(c1, c0 + this.cols - 1), rEnd = Math.min(r1, r0 + this.rows - 1);
+      for (let row = r0; row <= rEnd; row++) {
+        const wr = ((row % this.rows) + this.rows) % this.rows;
+        for (let col = c0; col <= cEnd; col++) {
+          const wc = ((col % this.cols) + this.cols) % this.cols;
+          fn(this.cells[wr * this.cols + wc]);
+        }
+      }
+    }
+
+    insert(obj, x, y, r = 0) {
+      this.forCells(x, y, r, cell => cell.push(obj));
+    }
+
+    // Every object whose cells overlap the box around (x, y) +/- r, each once, in insertion order
+    // per cell. Candidates still need an exact test.
+    query(x, y, r = 0) {
+      const out = [];
+      const seen = this.seen;
+      seen.clear();
+      this.forCells(x, y, r, cell => {
+        for (const obj of cell) {
+          if (seen.has(obj)) continue;
+          seen.add(obj);
+          out.push(obj);
+        }
+      });
+      return out;
+    }
+  }
+
+  function createGrid(width, height, cellSize) { return new SpatialGrid(width, height, cellSize); }
+
+  return {
+    DEFAULT_CELL, wrapDelta, wrapDist, wrapOffsets, pointInPolygon, polygonsOverlap, SpatialGrid, createGrid
+  };
+});
@@ -0,0 +1,1080 @@
+// core.js
+// Headless game simulation (no DOM, canvas or audio)
+// - Entity state: ships, bullets, asteroids, saucers, saucer bullets, scores
+// - Modes: "single"; "alternate" (two players take turns, each with their own score, lives and
+//   wave, swapping after every lost ship); "coop" (two ships at once, each with its own bullets,
+//   lives and score, with optional friendly fire)
+// - Ship abilities: hyperspace jump (cooldown, may explode) and an energy-limited shield
+// - Losing a life leaves the ship wrecked until the centre is clear; it then relaunches by itself
+//   or as soon as the player asks (input.respawn / fire)
+// - Collisions (broad phase in collision.js, wrap-aware), levels (difficulty scaling per wave)
+//   and saucer spawning
+// - Saucers zig-zag across; large ones fire at random, small ones lead their shots (wrap-aware).
+//   Saucers and their shots break asteroids, but only the players' hits score
+// - Asteroids get a seeded jagged outline and spin; bullets and the ship's triangle are tested
+//   against that outline, not a circle
+// - Power-ups: rocks and saucers shot by a player sometimes drop a drifting pickup (rapid fire,
+//   spread shot, piercing laser, smart bomb, extra ship); drop rates come from a per-level table
+// - Seedable PRNG: the same seed + the same inputs replay the same game
+// - Rule modifiers for the daily challenge (MODIFIERS): no thrust, one life, fast rocks,
+//   saucers only
+// - Physics and spawn constants are read through game.tuning (TUNING by default), which the
+//   debug overlay changes live along with its commands (spawn, extra life, skip wave, god mode)
+// - step(input, dt) advances one tick and returns the events that happened in it;
+//   game.js turns those into particles and sounds, stats.js into lifetime statistics
+// - Loads as a plain <script> after collision.js (window.AsteroidsCore) or with require() under Node
+// - sim-check.js (`node sim-check.js`) checks that a seed replays identically; run it after
+//   changing this file
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./collision"));
+  else root.AsteroidsCore = factory(root.AsteroidsCollision);
+})(typeof self !== "undefined" ? self : this, function (Collision) {
+  "use strict";
+
+  // -------------------------
+  // Constants
+  // -------------------------
+  const SIM_VERSION = 12;             // bump whenever a change would make old replays play differently
+  const FRAME_RATE = 60;
+  const STEP_MS = 1000 / FRAME_RATE; // one simulation tick
+  const SHIP_R = 15;
+  const SHIP_THRUST = 0.08;
+  const SHIP_DRAG = 0.995;
+  const SHIP_ROT = 0.08;             // turn rate (rad/tick) of a digital left/right input
+  const SHIP_LIVES = 3;
+  const INVULN_TICKS = 90;           // grace period after losing a life
+  const RESPAWN_MIN_TICKS = 90;      // wreck drifts apart at least this long before a new ship
+  const RESPAWN_AUTO_TICKS = 180;    // then launches by itself once the centre is clear
+  const RESPAWN_CLEAR_R = 110;       // centre area that must be free of rocks, saucers and their shots
+  const HYPERSPACE_COOLDOWN_TICKS = 120;
+  const HYPERSPACE_FAIL_CHANCE = 0.08; // chance of breaking up on re-entry
+  const HYPERSPACE_MARGIN = 40;      // keep arrivals this far from the edges
+  const SHIELD_MAX = 180;            // ticks of shield on a full charge
+  const SHIELD_RECHARGE = 0.25;      // energy regained per tick while the shield is down
+  const SHIELD_MIN_START = 30;       // energy needed to raise the shield again
+  const BULLET_SPEED = 6;
+  const BULLET_MAX_SCREEN_TRAVEL = 1.5; // bullets expire after ~1.5x screen (the screen at the time)
+  const SAUCER_BULLET_SPEED = 5.5;
+  const SAUCER_SCORE = 1000;
+  const SMALL_SAUCER_SCORE = 2000;
+  const SAUCER_SPAWN_MIN = 15000;
+  const SAUCER_SPAWN_MAX = 45000;
+  const SAUCER_COURSE_MS = [400, 1400]; // time between zig-zag course changes
+  const SAUCER_ZIGZAG = 0.75;       // vertical speed on a diagonal leg, as a share of the horizontal
+  const SAUCER_MARGIN = 40;         // saucers turn back this far from the top and bottom edges
+  const LEVEL_BANNER_MS = 2000;      // "Level N" pause between clearing a wave and the next one
+  const EXTRA_LIFE_EVERY = 10000;    // points per extra ship
+  const MODES = ["single", "alternate", "coop"];
+  const COOP_SPAWN_OFFSET = 60;      // co-op ships launch this far either side of the centre
+  const IDLE_INPUT = Object.freeze({}); // a ship with no input this tick (co-op, one input given)
+
+  // Rule changes for the daily challenge (game.modifier; null plays the normal rules)
+  const MODIFIERS = [
+    "noThrust",    // the engine is dead: turn, shoot, shield and hyperspace only
+    "oneLife",     // one ship, no extra ships
+    "fastRocks",   // asteroids move FAST_ROCKS_SPEED times as fast
+    "saucersOnly"  // no asteroids; each wave is a number of saucers to shoot down
+  ];
+  const FAST_ROCKS_SPEED = 2;
+  const SAUCER_WAVE_SPAWN_MS = [1500, 4000]; // saucersOnly: time between saucers
+
+  // Constants a game reads from game.tuning, so the debug overlay can change them mid-game;
+  // replays always play with these defaults
+  const TUNING = Object.freeze({
+    shipRadius: SHIP_R,
+    shipThrust: SHIP_THRUST,
+    shipDrag: SHIP_DRAG,
+    bulletSpeed: BULLET_SPEED,
+    saucerBulletSpeed: SAUCER_BULLET_SPEED,
+    asteroidSpeed: 1,   // multiplier on the level's asteroid speed
+    asteroidCount: 0,   // large asteroids added to every wave
+    saucerInterval: 1   // multiplier on the time between saucers
+  });
+
+  // Power-ups: timed ones run for `ticks` once collected and are lost with the ship;
+  // bomb and life act the moment they are picked up
+  const POWERUPS = {
+    rapid:  { ticks: 600 },            // held fire repeats every RAPID_FIRE_REPEAT_TICKS
+    spread: { ticks: 600 },            // three shots in a fan
+    laser:  { ticks: 420 },            // fast shots that go straight through rocks and saucers
+    bomb:   { ticks: 0 },              // breaks every rock and saucer on the field
+    life:   { ticks: 0 }               // extra ship
+  };
+  const POWERUP_KINDS = Object.keys(POWERUPS);
+  const TIMED_POWERUPS = POWERUP_KINDS.filter(kind => POWERUPS[kind].ticks > 0);
+  const RAPID_FIRE_REPEAT_TICKS = 5;  // vs input.js's normal FIRE_REPEAT_TICKS (12)
+  const SPREAD_ANGLE = 0.2;          // rad between the spread's shots
+  const LASER_SPEED = 10;
+  const PICKUP_R = 10;
+  const PICKUP_SPEED = [0.3, 0.8];
+  const PICKUP_LIFE_TICKS = 600;     // an uncollected pickup fades out after 10 s
+
+  // Drop tables: the last row whose level is <= the current level applies.
+  // chance: per rock (by size) or saucer a player destroys; weights: which power-up it is
+  const DROP_TABLE = [
+    { level: 1, chance: { large: 0.03, medium: 0.05, small: 0.06, saucer: 0.5 },
+      weights: { rapid: 4, spread: 3, laser: 2, bomb: 1, life: 0 } },
+    { level: 3, chance: { large: 0.04, medium: 0.06, small: 0.07, saucer: 0.6 },
+      weights: { rapid: 4, spread: 3, laser: 3, bomb: 2, life: 1 } },
+    { level: 6, chance: { large: 0.05, medium: 0.07, small: 0.08, saucer: 0.75 },
+      weights: { rapid: 3, spread: 3, laser: 3, bomb: 2, life: 1 } }
+  ];
+
+  // Asteroid tiers: large -> 2 medium -> 2 small -> gone. Speeds are before the level multiplier.
+  const ASTEROID_SIZES = {
+    large:  { r: [34, 42], speed: [0.2, 1.0], score: 20,  splitsInto: "medium", debris: 14 },
+    medium: { r: [18, 22], speed: [0.6, 1.6], score: 50,  splitsInto: "small",  debris: 10 },
+    small:  { r: [9, 11],  speed: [1.0, 2.2], score: 100, splitsInto: null,     debris: 6 }
+  };
+  const SPLIT_INHERIT = 0.5;         // share of the parent's velocity a child keeps
+  const ASTEROID_VERTS = [9, 13];    // outline vertex count range
+  const ASTEROID_DENT = 0.72;        // innermost vertex radius as a share of r (r bounds the outline)
+  const ASTEROID_SPIN = 0.01;        // max rad/tick
+
+  // Shots needed to clear one asteroid of this size and all of its children
+  function hitsToClear(size) {
+    const next = ASTEROID_SIZES[size].splitsInto;
+    return 1 + (next ? 2 * hitsToClear(next) : 0);
+  }
+
+  // Difficulty for a level (1-based)
+  function levelParams(level) {
+    const n = level - 1;
+    const saucerScale = Math.max(0.4, 1 - n * 0.08);
+    return {
+      asteroidCount: Math.min(4 + n, 11),         // large asteroids per wave
+      asteroidSpeed: Math.min(1 + n * 0.1, 2),    // multiplier on the base asteroid speed
+      saucerSpawnMin: SAUCER_SPAWN_MIN * saucerScale,
+      saucerSpawnMax: SAUCER_SPAWN_MAX * saucerScale,
+      smallSaucerChance: Math.min(n * 0.15, 0.7), // none on level 1
+      smallSaucerInaccuracy: Math.max(0.2 - n * 0.025, 0.03), // +/- radians around a dead-on shot
+      drops: DROP_TABLE.filter(row => row.level <= level).pop(),
+      saucerWave: 0                               // saucers to shoot down on top of the rocks
+    };
+  }
+
+  // Difficulty for a level under a modifier (see MODIFIERS)
+  function modifiedParams(level, modifier) {
+    const params = levelParams(level);
+    if (modifier === "fastRocks") params.asteroidSpeed *= FAST_ROCKS_SPEED;
+    if (modifier === "saucersOnly") {
+      params.asteroidCount = 0;
+      params.saucerWave = Math.min(2 + level, 10);
+      params.saucerSpawnMin = SAUCER_WAVE_SPAWN_MS[0];
+      params.saucerSpawnMax = SAUCER_WAVE_SPAWN_MS[1];
+    }
+    return params;
+  }
+
+  // -------------------------
+  // Seeded PRNG (mulberry32): small, fast and identical in every JS engine
+  // -------------------------
+  function createRng(seed) {
+    let state = seed >>> 0;
+    function next() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    return {
+      next,
+      range(min, max) { return next() * (max - min) + min; },
+      get state() { return state; }
+    };
+  }
+
+  // Fresh seed for a new game (the only place Math.random is allowed in here)
+  function randomSeed() { return Math.floor(Math.random() * 4294967296) >>> 0; }
+
+  function dist(ax, ay, bx, by) { return Math.hypot(ax - bx, ay - by); }
+
+  // -------------------------
+  // Entities: Ship, Bullet, Asteroid, Saucer, SaucerBullet, PowerUp
+  // px/py hold the previous tick's position so renderers can interpolate.
+  // k is the step length in ticks (1 for a normal STEP_MS step).
+  // -------------------------
+  // player: whose ship it is (0/1; the alternating ship switches owner with the turn);
+  // home: -1/0/1, which side of the centre it launches from
+  class Ship {
+    constructor(game, player = 0, home = 0) {
+      this.player = player;
+      this.home = home;
+      [this.x, this.y] = this.spawnPoint(game);
+      this.a = -Math.PI / 2;
+      this.px = this.x; this.py = this.y; this.pa = this.a;
+      this.r = game.tuning.shipRadius;
+      this.rot = 0;
+      this.vx = 0; this.vy = 0;
+      this.thrusting = false;
+      this.lives = SHIP_LIVES;
+      this.dead = false;  // wrecked, waiting to respawn (or for good once the game is over)
+      this.deadTicks = 0;
+      this.invuln = 0; // ticks left of invulnerability (respawn grace, or held up by the shield)
+      this.hyperCooldown = 0;
+      this.shieldEnergy = SHIELD_MAX;
+      this.shieldActive = false;
+      this.respawnClear = true; // last launch-area check while wrecked
+      this.powers = freshPowers(); // ticks left on each timed power-up
+    }
+    // Hold-to-fire repeat in ticks while rapid fire runs (0: the input's normal rate)
+    get fireRepeat() { return this.powers.rapid > 0 ? RAPID_FIRE_REPEAT_TICKS : 0; }
+    spawnPoint(game) { return [game.width / 2 + this.home * COOP_SPAWN_OFFSET, game.height / 2]; }
+    // The drawn triangle, rotated, relative to the ship's centre
+    hull() {
+      const c = Math.cos(this.a), s = Math.sin(this.a), r = this.r;
+      return [[r, 0], [-r * 0.6, -r * 0.6], [-r * 0.6, r * 0.6]]
+        .map(([x, y]) => [x * c - y * s, x * s + y * c]);
+    }
+    update(game, k) {
+      this.px = this.x; this.py = this.y; this.pa = this.a;
+      if (this.dead) { this.deadTicks += k; return; }
+      this.a += this.rot * k;
+      if (this.thrusting) {
+        this.vx += game.tuning.shipThrust * Math.cos(this.a) * k;
+        this.vy += game.tuning.shipThrust * Math.sin(this.a) * k;
+      }
+      const drag = Math.pow(game.tuning.shipDrag, k);
+      this.vx *= drag; this.vy *= drag;
+      this.x = game.wrapX(this.x + this.vx * k);
+      this.y = game.wrapY(this.y + this.vy * k);
+      if (this.invuln > 0) this.invuln -= k;
+      if (this.hyperCooldown > 0) this.hyperCooldown -= k;
+    }
+    wreck() {
+      this.dead = true;
+      this.deadTicks = 0;
+      this.vx = 0; this.vy = 0;
+      this.thrusting = false;
+      this.rot = 0;
+      this.shieldActive = false;
+      this.powers = freshPowers();
+    }
+    respawn(game) {
+      [this.x, this.y] = this.spawnPoint(game);
+      this.vx = 0; this.vy = 0;
+      this.px = this.x; this.py = this.y;
+      this.a = -Math.PI / 2; this.pa = this.a;
+      this.dead = false;
+      this.invuln = INVULN_TICKS;
+      this.shieldActive = false;
+    }
+  }
+
+  function freshPowers() {
+    const powers = {};
+    for (const kind of TIMED_POWERUPS) powers[kind] = 0;
+    return powers;
+  }
+
+  // laser: faster, and goes through what it hits (passed remembers the rocks it has broken,
+  // and their fragments, so it doesn't hit them again on the way out)
+  class Bullet {
+    constructor(game, x, y, a, owner = 0, laser = false) {
+      this.owner = owner; // player the hits score for
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      const speed = laser ? LASER_SPEED : game.tuning.bulletSpeed;
+      this.dx = speed * Math.cos(a);
+      this.dy = speed * Math.sin(a);
+      this.laser = laser;
+      this.passed = laser ? new Set() : null;
+      this.hits = 0;   // things broken so far (more than one only for a laser)
+      this.travel = 0; // in screens, so a resize mid-flight doesn't change the range
+    }
+    update(game, k) {
+      this.px = this.x; this.py = this.y;
+      this.x = game.wrapX(this.x + this.dx * k);
+      this.y = game.wrapY(this.y + this.dy * k);
+      this.travel += Math.hypot(this.dx, this.dy) * k / Math.max(game.width, game.height);
+    }
+    get alive() { return this.travel < BULLET_MAX_SCREEN_TRAVEL; }
+  }
+
+  // size is a key of ASTEROID_SIZES; without dx/dy it drifts off in a random direction
+  class Asteroid {
+    constructor(game, x, y, size, dx, dy) {
+      const rng = game.rng;
+      const def = ASTEROID_SIZES[size];
+      this.size = size;
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      this.r = rng.range(def.r[0], def.r[1]);
+      if (dx === undefined) {
+        const ang = rng.next() * Math.PI * 2;
+        const spd = rng.range(def.speed[0], def.speed[1]) * game.difficulty.asteroidSpeed;
+        dx = Math.cos(ang) * spd;
+        dy = Math.sin(ang) * spd;
+      }
+      this.dx = dx;
+      this.dy = dy;
+      // jagged outline, fixed for the asteroid's life: one radius (share of r) per vertex
+      const verts = Math.floor(rng.range(ASTEROID_VERTS[0], ASTEROID_VERTS[1]));
+      this.shape = [];
+      for (let i = 0; i < verts; i++) this.shape.push(rng.range(ASTEROID_DENT, 1));
+      this.a = rng.next() * Math.PI * 2;
+      this.pa = this.a;
+      this.spin = rng.range(-ASTEROID_SPIN, ASTEROID_SPIN);
+    }
+    update(game, k) {
+      this.px = this.x; this.py = this.y; this.pa = this.a;
+      this.x = game.wrapX(this.x + this.dx * k);
+      this.y = game.wrapY(this.y + this.dy * k);
+      this.a += this.spin * k;
+    }
+    // Outline vertices relative to the centre, rotated to angle a (renderers pass the interpolated one)
+    outline(a = this.a) {
+      const n = this.shape.length;
+      return this.shape.map((m, i) => {
+        const theta = a + (i / n) * Math.PI * 2;
+        return [Math.cos(theta) * this.r * m, Math.sin(theta) * this.r * m];
+      });
+    }
+  }
+
+  // Saucers cross the screen once, zig-zagging between straight and diagonal legs (they turn
+  // back short of the top and bottom rather than wrap). The large one is dumb and fires in any
+  // direction; the small one is a sniper that leads the nearest ship and aims better every level.
+  class Saucer {
+    constructor(game, small = false) {
+      const rng = game.rng;
+      this.small = small;
+      this.side = rng.next() < 0.5 ? -1 : 1;
+      this.x = this.side < 0 ? -60 : game.width + 60;
+      this.y = rng.range(SAUCER_MARGIN, game.height - SAUCER_MARGIN);
+      this.px = this.x; this.py = this.y;
+      const spd = small ? rng.range(2.0, 2.8) : rng.range(1.2, 2.0);
+      this.dx = this.side < 0 ? spd : -spd;
+      this.dy = 0;
+      this.r = small ? 10 : 18;
+      this.inaccuracy = small ? game.difficulty.smallSaucerInaccuracy : 0;
+      this.score = small ? SMALL_SAUCER_SCORE : SAUCER_SCORE;
+      this.fireTimer = this.nextFireDelay(rng);
+      this.courseTimer = rng.range(SAUCER_COURSE_MS[0], SAUCER_COURSE_MS[1]);
+      this.alive = true;
+    }
+    nextFireDelay(rng) { return this.small ? rng.range(500, 1000) : rng.range(600, 1400); }
+    // Outline for asteroid collisions, relative to the centre (matches the drawn body)
+    hull() {
+      const rx = this.r + 8, ry = this.r + 3.5;
+      return [[rx, 0], [rx / 2, ry], [-rx / 2, ry], [-rx, 0], [-rx / 2, -ry], [rx / 2, -ry]];
+    }
+    update(game, dt) {
+      const k = dt / STEP_MS;
+      this.px = this.x; this.py = this.y;
+
+      this.courseTimer -= dt;
+      if (this.courseTimer <= 0) {
+        this.courseTimer = game.rng.range(SAUCER_COURSE_MS[0], SAUCER_COURSE_MS[1]);
+        this.dy = (Math.floor(game.rng.next() * 3) - 1) * Math.abs(this.dx) * SAUCER_ZIGZAG;
+      }
+      if ((this.y < SAUCER_MARGIN && this.dy < 0) || (this.y > game.height - SAUCER_MARGIN && this.dy > 0)) this.dy = -this.dy;
+      this.x += this.dx * k;
+      this.y += this.dy * k;
+      if (this.side < 0 && this.x > game.width + 80) this.alive = false;
+      if (this.side > 0 && this.x < -80) this.alive = false;
+      if (!this.alive) { game.emit("saucerGone", { x: this.x, y: this.y }); return; }
+
+      this.fireTimer -= dt;
+      if (this.fireTimer <= 0) {
+        this.fireTimer = this.nextFireDelay(game.rng);
+        game.saucerBullets.push(new SaucerBullet(game, this.x, this.y, this.aim(game)));
+        game.emit("saucerFired", { x: this.x, y: this.y, small: this.small });
+      }
+    }
+    aim(game) {
+      const rng = game.rng;
+      if (!this.small) return rng.next() * Math.PI * 2;
+      // the sniper leads the closest ship; with every ship wrecked it fires off at random
+      const target = game.nearestShip(this.x, this.y);
+      if (!target) return rng.next() * Math.PI * 2;
+      const lead = leadAngle(game, this.x, this.y, target, game.tuning.saucerBulletSpeed);
+      const base = lead !== null ? lead : Math.atan2(
+        Collision.wrapDelta(target.y, this.y, game.height), Collision.wrapDelta(target.x, this.x, game.width));
+      return base + rng.range(-this.inaccuracy, this.inaccuracy);
+    }
+  }
+
+  // Heading for a shot at `speed` px/tick from (x, y) to meet a target drifting at (vx, vy)
+  // px/tick. Shots and ships both wrap, so every wrapped image of the target is tried and the
+  // soonest intercept within the shot's range wins; null if none is reachable.
+  function leadAngle(game, x, y, target, speed) {
+    const range = BULLET_MAX_SCREEN_TRAVEL * Math.max(game.width, game.height) / speed; // ticks
+    const vx = target.vx, vy = target.vy;
+    let best = null, bestT = range;
+    for (const ox of [-game.width, 0, game.width]) {
+      for (const oy of [-game.height, 0, game.height]) {
+        const dx = target.x + ox - x, dy = target.y + oy - y;
+        // |d + v t| = speed * t  ->  a t^2 + b t + c = 0
+        const a = vx * vx + vy * vy - speed * speed;
+        const b = 2 * (dx * vx + dy * vy);
+        const c = dx * dx + dy * dy;
+        let t;
+        if (Math.abs(a) < 1e-9) t = b < 0 ? -c / b : Infinity;
+        else {
+          const disc = b * b - 4 * a * c;
+          if (disc < 0) continue;
+          const root = Math.sqrt(disc);
+          const t1 = (-b - root) / (2 * a), t2 = (-b + root) / (2 * a);
+          t = Math.min(t1 > 0 ? t1 : Infinity, t2 > 0 ? t2 : Infinity);
+        }
+        if (t < bestT) { bestT = t; best = Math.atan2(dy + vy * t, dx + vx * t); }
+      }
+    }
+    return best;
+  }
+
+  class SaucerBullet {
+    constructor(game, x, y, a) {
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      this.dx = game.tuning.saucerBulletSpeed * Math.cos(a);
+      this.dy = game.tuning.saucerBulletSpeed * Math.sin(a);
+      this.travel = 0;
+    }
+    update(game, k) {
+      this.px = this.x; this.py = this.y;
+      this.x = game.wrapX(this.x + this.dx * k);
+      this.y = game.wrapY(this.y + this.dy * k);
+      this.travel += Math.hypot(this.dx, this.dy) * k / Math.max(game.width, game.height);
+    }
+    get alive() { return this.travel < BULLET_MAX_SCREEN_TRAVEL; }
+  }
+
+  // A dropped pickup: drifts and wraps until a ship flies over it or it times out
+  class PowerUp {
+    constructor(game, x, y, kind) {
+      const rng = game.rng;
+      this.kind = kind;
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      const ang = rng.next() * Math.PI * 2;
+      const spd = rng.range(PICKUP_SPEED[0], PICKUP_SPEED[1]);
+      this.dx = Math.cos(ang) * spd;
+      this.dy = Math.sin(ang) * spd;
+      this.r = PICKUP_R;
+      this.life = PICKUP_LIFE_TICKS;
+    }
+    update(game, k) {
+      this.px = this.x; this.py = this.y;
+      this.x = game.wrapX(this.x + this.dx * k);
+      this.y = game.wrapY(this.y + this.dy * k);
+      this.life -= k;
+    }
+    get alive() { return this.life > 0; }
+  }
+
+  // -------------------------
+  // Game: the whole simulation state for one run
+  // -------------------------
+  class Game {
+    constructor(opts = {}) {
+      this.width = opts.width || 800;
+      this.height = opts.height || 600;
+      this.grids = {
+        asteroids: Collision.createGrid(this.width, this.height),
+        bullets: Collision.createGrid(this.width, this.height),
+        saucerBullets: Collision.createGrid(this.width, this.height)
+      };
+      this.reset(opts.seed === undefined ? randomSeed() : opts.seed, opts);
+    }
+
+    // Start a fresh game from a seed; opts { mode, friendlyFire } default to the last game's,
+    // opts.modifier (one of MODIFIERS), opts.tuning (overrides for TUNING) and opts.godMode
+    // apply to this game only
+    reset(seed = this.seed, opts = {}) {
+      this.seed = seed >>> 0;
+      this.simVersion = SIM_VERSION;
+      this.mode = MODES.includes(opts.mode) ? opts.mode : this.mode || "single";
+      this.friendlyFire = opts.friendlyFire === undefined ? !!this.friendlyFire : !!opts.friendlyFire;
+      this.modifier = MODIFIERS.includes(opts.modifier) ? opts.modifier : null;
+      this.tuning = Object.assign({}, TUNING);
+      for (const key of Object.keys(TUNING)) {
+        if (opts.tuning && Number.isFinite(opts.tuning[key])) this.tuning[key] = opts.tuning[key];
+      }
+      this.godMode = !!opts.godMode; // nothing can destroy a ship
+      const lives = this.modifier === "oneLife" ? 1 : SHIP_LIVES;
+      this.rng = createRng(this.seed);
+      this.tick = 0;
+      this.time = 0; // simulated ms
+      // per player: score and extra-ship threshold; alternating play also parks lives and the
+      // wave (asteroids, level, saucer timer) here while the other player is up
+      this.players = [];
+      for (let i = 0; i < (this.mode === "single" ? 1 : 2); i++) {
+        this.players.push({ score: 0, nextExtraLife: EXTRA_LIFE_EVERY, lives, out: false, wave: null });
+      }
+      this.turn = 0;         // whose go it is (alternating play)
+      this.pendingTurn = -1; // the player who goes next once the wreck has drifted apart
+      this.gameOver = false;
+      this.ships = this.mode === "coop" ? [new Ship(this, 0, -1), new Ship(this, 1, 1)] : [new Ship(this)];
+      for (const ship of this.ships) ship.lives = lives;
+      this.bullets = [];
+      this.asteroids = [];
+      this.saucers = [];
+      this.saucerBullets = [];
+      this.powerUps = [];
+      this.events = [];
+      this.level = 1;
+      this.difficulty = this.paramsFor(this.level);
+      this.levelTransition = 0; // ms left on the "Level N" banner; no asteroids while it runs
+      this.resetAsteroids();
+      this.scheduleSaucer();
+    }
+
+    // New playfield size (rotation, window resize): every entity keeps its relative position,
+    // so nothing ends up off-screen; speeds and sizes stay in pixels
+    resize(width, height) {
+      const sx = width / this.width, sy = height / this.height;
+      this.width = width;
+      this.height = height;
+      for (const grid of Object.values(this.grids)) grid.resize(width, height);
+      const parked = this.players.flatMap(p => p.wave ? p.wave.asteroids : []);
+      const ents = [...this.ships, ...this.bullets, ...this.asteroids, ...parked, ...this.saucers, ...this.saucerBullets, ...this.powerUps];
+      for (const e of ents) {
+        e.x *= sx; e.px *= sx;
+        e.y *= sy; e.py *= sy;
+      }
+    }
+
+    // The only ship outside co-op (player 1's in co-op)
+    get ship() { return this.ships[0]; }
+
+    // Team total in co-op; otherwise the score of whoever is playing
+    get score() {
+      if (this.mode === "coop") return this.players.reduce((sum, p) => sum + p.score, 0);
+      return this.players[this.turn].score;
+    }
+
+    // Closest ship still flying (wrap-aware), or null while every ship is wrecked
+    nearestShip(x, y) {
+      let best = null, bestDist = Infinity;
+      for (const ship of this.ships) {
+        if (ship.dead) continue;
+        const d = Collision.wrapDist(x, y, ship.x, ship.y, this.width, this.height);
+        if (d < bestDist) { best = ship; bestDist = d; }
+      }
+      return best;
+    }
+
+    // Difficulty for a level of this game: the modifier's, adjusted by the tuning
+    paramsFor(level) {
+      const params = modifiedParams(level, this.modifier);
+      const t = this.tuning;
+      if (params.asteroidCount) params.asteroidCount = Math.max(0, params.asteroidCount + t.asteroidCount);
+      params.asteroidSpeed *= t.asteroidSpeed;
+      params.saucerSpawnMin *= t.saucerInterval;
+      params.saucerSpawnMax *= t.saucerInterval;
+      return params;
+    }
+
+    // Share of the current wave still to shoot (1 = untouched, 0 = cleared); read-only
+    waveRemaining() {
+      if (this.difficulty.saucerWave) return this.saucersLeft / this.difficulty.saucerWave;
+      let hits = 0;
+      for (const a of this.asteroids) hits += hitsToClear(a.size);
+      return Math.min(1, hits / (this.difficulty.asteroidCount * hitsToClear("large")));
+    }
+    wrapX(x) { return (x + this.width) % this.width; }
+    wrapY(y) { return (y + this.height) % this.height; }
+    emit(type, data) { this.events.push(Object.assign({ type }, data)); }
+
+    // A fresh wave: its rocks (and, with saucersOnly, the saucers it takes to clear it)
+    resetAsteroids() {
+      this.saucersLeft = this.difficulty.saucerWave;
+      this.asteroids = [];
+      for (let i = 0; i < this.difficulty.asteroidCount; i++) {
+        const x = this.rng.range(0, this.width), y = this.rng.range(0, this.height);
+        this.asteroids.push(new Asteroid(this, x, y, "large"));
+      }
+    }
+
+    // Break a rock hit by b (anything with dx/dy); returns the fragments
+    splitAsteroid(a, b) {
+      const next = ASTEROID_SIZES[a.size].splitsInto;
+      if (!next) return [];
+      const kids = [];
+      const def = ASTEROID_SIZES[next];
+      const impact = Math.atan2(b.dy, b.dx);
+      for (const side of [-1, 1]) {
+        const ang = impact + side * this.rng.range(0.3, 0.9);
+        const spd = this.rng.range(def.speed[0], def.speed[1]) * this.difficulty.asteroidSpeed;
+        const dx = a.dx * SPLIT_INHERIT + Math.cos(ang) * spd;
+        const dy = a.dy * SPLIT_INHERIT + Math.sin(ang) * spd;
+        // start side by side across the bullet's path instead of on top of each other
+        const x = this.wrapX(a.x + Math.cos(impact + side * Math.PI / 2) * a.r / 3);
+        const y = this.wrapY(a.y + Math.sin(impact + side * Math.PI / 2) * a.r / 3);
+        kids.push(new Asteroid(this, x, y, next, dx, dy));
+      }
+      this.asteroids.push(...kids);
+      return kids;
+    }
+
+    // All scoring goes through here so extra ships are awarded at every threshold; shots still
+    // in flight after game over score nothing (the gameOver event's score is final)
+    addScore(points, player = this.turn) {
+      if (this.gameOver) return;
+      const p = this.players[player];
+      p.score += points;
+      while (p.score >= p.nextExtraLife) {
+        p.nextExtraLife += EXTRA_LIFE_EVERY;
+        if (this.modifier === "oneLife") continue;
+        const ship = this.mode === "coop" ? this.ships[player] : this.ship;
+        ship.lives++;
+        this.emit("extraLife", { lives: ship.lives, player });
+      }
+    }
+
+    scheduleSaucer() {
+      this.saucerNextSpawn = this.time + this.rng.range(this.difficulty.saucerSpawnMin, this.difficulty.saucerSpawnMax);
+    }
+
+    spawnSaucer(small = this.rng.next() < this.difficulty.smallSaucerChance) {
+      this.saucers.push(new Saucer(this, small));
+      this.emit("saucerSpawned", { small });
+    }
+
+    startLevel(level) {
+      this.level = level;
+      this.difficulty = this.paramsFor(level);
+      this.resetAsteroids();
+      this.scheduleSaucer();
+      this.emit("levelStarted", { level });
+    }
+
+    shoot(ship) {
+      const bx = ship.x + Math.cos(ship.a) * ship.r;
+      const by = ship.y + Math.sin(ship.a) * ship.r;
+      const laser = ship.powers.laser > 0;
+      const fan = ship.powers.spread > 0 ? [-SPREAD_ANGLE, 0, SPREAD_ANGLE] : [0];
+      for (const da of fan) this.bullets.push(new Bullet(this, bx, by, ship.a + da, ship.player, laser));
+      this.emit("shot", { x: bx, y: by, player: ship.player, laser, count: fan.length });
+    }
+
+    // -------------------------
+    // Power-ups
+    // -------------------------
+    // Maybe leave a pickup where a player destroyed something; source is a rock size or "saucer"
+    dropPowerUp(x, y, source) {
+      const drops = this.difficulty.drops;
+      if (this.rng.next() >= drops.chance[source]) return;
+      // one life means one life: no extra-ship pickups
+      const weight = kind => kind === "life" && this.modifier === "oneLife" ? 0 : drops.weights[kind] || 0;
+      const total = POWERUP_KINDS.reduce((sum, kind) => sum + weight(kind), 0);
+      let pick = this.rng.next() * total;
+      const kind = POWERUP_KINDS.find(k => (pick -= weight(k)) < 0);
+      if (!kind) return;
+      this.powerUps.push(new PowerUp(this, x, y, kind));
+      this.emit("powerUpDropped", { kind, x, y });
+    }
+
+    collectPowerUp(ship, p) {
+      p.life = 0;
+      const def = POWERUPS[p.kind];
+      if (def.ticks) ship.powers[p.kind] = def.ticks;
+      this.emit("powerUpCollected", { kind: p.kind, x: p.x, y: p.y, player: ship.player });
+      if (p.kind === "life") {
+        ship.lives++;
+        this.emit("extraLife", { lives: ship.lives, player: ship.player });
+      } else if (p.kind === "bomb") {
+        this.smartBomb(ship);
+      }
+    }
+
+    // Count down the ship's timed power-ups
+    updatePowers(ship, k) {
+      for (const kind of TIMED_POWERUPS) {
+        if (ship.powers[kind] <= 0) continue;
+        ship.powers[kind] -= k;
+        if (ship.powers[kind] <= 0) {
+          ship.powers[kind] = 0;
+          this.emit("powerUpEnded", { kind, player: ship.player });
+        }
+      }
+    }
+
+    // Smart bomb: every rock on the field breaks once and every saucer goes, all scoring for the
+    // ship's player (nothing it destroys drops a pickup); saucer shots in flight vanish
+    smartBomb(ship) {
+      const player = ship.player;
+      const rocks = this.asteroids;
+      this.asteroids = [];
+      for (const a of rocks) {
+        this.splitAsteroid(a, a);
+        this.addScore(ASTEROID_SIZES[a.size].score, player);
+        this.emit("asteroidDestroyed", {
+          x: a.x, y: a.y, r: a.r, size: a.size, debris: ASTEROID_SIZES[a.size].debris, player, cause: "bomb"
+        });
+      }
+      for (const saucer of this.saucers) {
+        if (!saucer.alive) continue;
+        saucer.alive = false;
+        this.addScore(saucer.score, player);
+        if (this.saucersLeft > 0) this.saucersLeft--;
+        this.emit("saucerDestroyed", {
+          x: saucer.x, y: saucer.y, vx: saucer.dx, vy: saucer.dy, hull: saucer.hull(), small: saucer.small, player, cause: "bomb"
+        });
+      }
+      this.saucerBullets = [];
+      this.emit("smartBomb", { x: ship.x, y: ship.y, player });
+    }
+
+    // Jump to a random spot; a small chance of exploding on arrival
+    hyperspace(ship) {
+      if (ship.hyperCooldown > 0) return;
+      ship.hyperCooldown = HYPERSPACE_COOLDOWN_TICKS;
+      const fromX = ship.x, fromY = ship.y;
+      ship.x = this.rng.range(HYPERSPACE_MARGIN, this.width - HYPERSPACE_MARGIN);
+      ship.y = this.rng.range(HYPERSPACE_MARGIN, this.height - HYPERSPACE_MARGIN);
+      ship.px = ship.x; ship.py = ship.y;
+      ship.vx = 0; ship.vy = 0;
+      this.emit("hyperspace", { fromX, fromY, x: ship.x, y: ship.y, player: ship.player });
+      if (this.rng.next() < HYPERSPACE_FAIL_CHANCE && !this.godMode) this.killShip(ship, "hyperspace");
+    }
+
+    // The shield drains while held and recharges while down; while it's up it keeps
+    // ship.invuln topped up, so the normal invulnerability checks protect the ship
+    updateShield(ship, want, k) {
+      const on = want && ship.shieldEnergy >= (ship.shieldActive ? k : SHIELD_MIN_START);
+      if (on !== ship.shieldActive) {
+        ship.shieldActive = on;
+        this.emit(on ? "shieldOn" : "shieldOff", { energy: ship.shieldEnergy, player: ship.player });
+      }
+      if (on) {
+        ship.shieldEnergy -= k;
+        ship.invuln = Math.max(ship.invuln, 1);
+      } else {
+        ship.shieldEnergy = Math.min(SHIELD_MAX, ship.shieldEnergy + SHIELD_RECHARGE * k);
+      }
+    }
+
+    // The game ends once no player has a ship left; until then a player who runs out just
+    // stops playing (co-op: the partner flies on; alternating: the other player takes every turn)
+    killShip(ship, cause) {
+      const player = ship.player;
+      this.emit("shipDestroyed", { x: ship.x, y: ship.y, vx: ship.vx, vy: ship.vy, hull: ship.hull(), cause, player });
+      ship.lives--;
+      ship.wreck();
+      if (this.mode === "alternate") {
+        if (ship.lives <= 0) this.players[player].out = true;
+        if (!this.players[1 - player].out) this.pendingTurn = 1 - player;
+      }
+      const out = this.mode === "alternate" ? this.players.every(p => p.out) : this.ships.every(s => s.lives <= 0);
+      if (out) {
+        this.gameOver = true;
+        this.emit("gameOver", {
+          score: this.score, scores: this.players.map(p => p.score), mode: this.mode, level: this.level, duration: this.time
+        });
+      } else if (ship.lives <= 0) {
+        this.emit("playerOut", { player });
+      }
+    }
+
+    // Alternating play: park the current player's wave and bring in the next player's
+    // (a fresh level 1 the first time)
+    switchTurn(next) {
+      const ship = this.ship;
+      const cur = this.players[this.turn];
+      cur.lives = ship.lives;
+      cur.wave = {
+        level: this.level, asteroids: this.asteroids, levelTransition: this.levelTransition,
+        saucerIn: this.saucerNextSpawn - this.time, saucersLeft: this.saucersLeft
+      };
+      this.bullets = [];
+      this.saucers = [];
+      this.saucerBullets = [];
+      this.powerUps = [];
+      this.turn = next;
+      this.pendingTurn = -1;
+      const p = this.players[next];
+      ship.player = next;
+      ship.lives = p.lives;
+      ship.hyperCooldown = 0;
+      ship.shieldEnergy = SHIELD_MAX;
+      if (p.wave) {
+        this.level = p.wave.level;
+        this.difficulty = this.paramsFor(this.level);
+        this.asteroids = p.wave.asteroids;
+        this.saucersLeft = p.wave.saucersLeft;
+        this.levelTransition = p.wave.levelTransition;
+        this.saucerNextSpawn = this.time + p.wave.saucerIn;
+        p.wave = null;
+      } else {
+        this.level = 1;
+        this.difficulty = this.paramsFor(1);
+        this.levelTransition = 0;
+        this.resetAsteroids();
+        this.scheduleSaucer();
+      }
+      this.emit("turnChanged", { player: next, level: this.level });
+    }
+
+    // -------------------------
+    // Debug commands (the overlay in debug.js)
+    // -------------------------
+    // Change one tuning constant mid-game; wave settings apply to what spawns from now on
+    tune(key, value) {
+      if (!(key in TUNING) || !Number.isFinite(value)) return;
+      this.tuning[key] = value;
+      this.difficulty = this.paramsFor(this.level);
+      if (key === "shipRadius") for (const ship of this.ships) ship.r = value;
+    }
+
+    // One more rock, somewhere clear of the ships
+    spawnAsteroid(size = "large") {
+      let x, y;
+      for (let i = 0; i < 10; i++) {
+        x = this.rng.range(0, this.width);
+        y = this.rng.range(0, this.height);
+        if (this.ships.every(s => s.dead || Collision.wrapDist(x, y, s.x, s.y, this.width, this.height) >= RESPAWN_CLEAR_R)) break;
+      }
+      this.asteroids.push(new Asteroid(this, x, y, size));
+    }
+
+    // Another ship for a player (taking turns, one who was out comes back in)
+    addLife(player = this.turn) {
+      if (this.gameOver) return;
+      const ship = this.mode === "coop" ? this.ships[player] : this.ship;
+      if (this.mode === "alternate" && player !== this.turn) this.players[player].lives++;
+      else ship.lives++;
+      this.players[player].out = false;
+    }
+
+    // End the wave as if it had been shot clear; the next step starts the "Level N" banner
+    skipWave() {
+      if (this.gameOver || this.levelTransition > 0) return;
+      this.asteroids = [];
+      this.saucers = [];
+      this.saucerBullets = [];
+      this.saucersLeft = 0;
+    }
+
+    // Is the launch area around (cx, cy) free of asteroids, saucers and saucer shots?
+    respawnAreaClear(cx, cy) {
+      const wd = (x, y) => Collision.wrapDist(cx, cy, x, y, this.width, this.height);
+      return this.asteroids.every(a => wd(a.x, a.y) >= RESPAWN_CLEAR_R + a.r) &&
+        this.saucers.every(s => dist(cx, cy, s.x, s.y) >= RESPAWN_CLEAR_R + s.r) &&
+        this.saucerBullets.every(sb => wd(sb.x, sb.y) >= RESPAWN_CLEAR_R);
+    }
+
+    // Wrecked ship: once the debris has had its moment (and, taking turns, the next player's wave
+    // is in) and its launch area is clear, launch on request or automatically after RESPAWN_AUTO_TICKS
+    updateRespawn(ship, input) {
+      if (ship.deadTicks < RESPAWN_MIN_TICKS) return;
+      if (this.pendingTurn >= 0) this.switchTurn(this.pendingTurn);
+      if (ship.lives <= 0) return; // out of ships; the partner plays on
+      ship.respawnClear = this.respawnAreaClear(...ship.spawnPoint(this));
+      if (!ship.respawnClear) return;
+      if (input.respawn || input.shoot || ship.deadTicks >= RESPAWN_AUTO_TICKS) {
+        ship.respawn(this);
+        this.emit("shipRespawned", { x: ship.x, y: ship.y, lives: ship.lives, player: ship.player });
+      }
+    }
+
+    // Advance the simulation by dt ms (normally STEP_MS).
+    // input: { rot, thrusting, shoot, hyperspace, shield, respawn } — rot in rad/tick; shoot,
+    // hyperspace and respawn are one-shot (true on the tick they happen), thrusting and shield are held.
+    // Co-op takes an array with one input per ship.
+    // Returns the events emitted during the step.
+    step(input, dt = STEP_MS) {
+      const k = dt / STEP_MS;
+      const inputs = Array.isArray(input) ? input : [input];
+      this.events = [];
+      this.tick++;
+      this.time += dt;
+
+      this.ships.forEach((ship, i) => {
+        const inp = inputs[i] || IDLE_INPUT;
+        if (this.gameOver || ship.dead) return;
+        ship.rot = inp.rot || 0;
+        ship.thrusting = !!inp.thrusting && this.modifier !== "noThrust";
+        if (inp.shoot) this.shoot(ship);
+        if (inp.hyperspace) this.hyperspace(ship);
+      });
+
+      // Updates
+      this.ships.forEach(ship => ship.update(this, k));
+      this.bullets.forEach(b => b.update(this, k));
+      this.bullets = this.bullets.filter(b => b.alive);
+      this.asteroids.forEach(a => a.update(this, k));
+      this.saucers.forEach(s => s.update(this, dt));
+      this.saucerBullets.forEach(sb => sb.update(this, k));
+      this.saucerBullets = this.saucerBullets.filter(sb => sb.alive);
+      this.powerUps.forEach(p => p.update(this, k));
+      this.powerUps = this.powerUps.filter(p => p.alive);
+      this.ships.forEach((ship, i) => {
+        const inp = inputs[i] || IDLE_INPUT;
+        this.updateShield(ship, !this.gameOver && !ship.dead && !!inp.shield, k);
+        if (!ship.dead) this.updatePowers(ship, k);
+        if (ship.dead && !this.gameOver) this.updateRespawn(ship, inp);
+      });
+
+      this.collide();
+
+      // Remove shot and expired saucers (they emit saucerGone when leaving)
+      this.saucers = this.saucers.filter(s => s.alive);
+
+      // Wave cleared: show the "Level N" banner, then start the next, harder wave
+      if (this.levelTransition > 0) {
+        this.levelTransition -= dt;
+        if (this.levelTransition <= 0) this.startLevel(this.level + 1);
+      } else if (this.asteroids.length === 0 && this.saucersLeft === 0) {
+        this.levelTransition = LEVEL_BANNER_MS;
+        this.emit("waveCleared", { level: this.level });
+      } else if (this.time >= this.saucerNextSpawn) {
+        // Spawn saucer occasionally (not during the banner)
+        this.spawnSaucer();
+        this.scheduleSaucer();
+      }
+
+      return this.events;
+    }
+
+    // Broad phase through the spatial grids (rebuilt every tick), exact tests across the wrap.
+    // Saucers fly in from off-screen and never wrap, so they use plain distance (and only meet
+    // asteroids once they are over the playfield).
+    collide() {
+      const { asteroids: rockGrid, bullets: bulletGrid, saucerBullets: sbGrid } = this.grids;
+      const wd = (ax, ay, bx, by) => Collision.wrapDist(ax, ay, bx, by, this.width, this.height);
+
+      rockGrid.clear();
+      for (const a of this.asteroids) rockGrid.insert(a, a.x, a.y, a.r);
+
+      // bullets -> asteroids: the bullet, taken across the wrap into the rock's frame, must be
+      // inside its outline (r is only the bounding circle)
+      const spent = new Set();
+      const broken = new Set();
+      const hitsRock = (b, a) => wd(b.x, b.y, a.x, a.y) < a.r &&
+        Collision.pointInPolygon(Collision.wrapDelta(b.x, a.x, this.width), Collision.wrapDelta(b.y, a.y, this.height), a.outline());
+      for (const b of this.bullets) {
+        const a = rockGrid.query(b.x, b.y).find(a => !broken.has(a) && !(b.passed && b.passed.has(a)) && hitsRock(b, a));
+        if (!a) continue;
+        if (b.laser) b.passed.add(a); else spent.add(b);
+        b.hits++;
+        broken.add(a);
+        const kids = this.splitAsteroid(a, b);
+        if (b.laser) kids.forEach(kid => b.passed.add(kid));
+        this.addScore(ASTEROID_SIZES[a.size].score, b.owner);
+        this.emit("asteroidDestroyed", {
+          x: a.x, y: a.y, r: a.r, size: a.size, debris: ASTEROID_SIZES[a.size].debris, player: b.owner, pierced: b.hits > 1
+        });
+        this.dropPowerUp(a.x, a.y, a.size);
+      }
+
+      // saucer bullets -> asteroids (they break, nobody scores)
+      const spentSaucer = new Set();
+      for (const sb of this.saucerBullets) {
+        const a = rockGrid.query(sb.x, sb.y).find(a => !broken.has(a) && hitsRock(sb, a));
+        if (!a) continue;
+        spentSaucer.add(sb);
+        broken.add(a);
+        this.splitAsteroid(a, sb);
+        this.emit("asteroidDestroyed", {
+          x: a.x, y: a.y, r: a.r, size: a.size, debris: ASTEROID_SIZES[a.size].debris, player: null
+        });
+      }
+      if (spentSaucer.size) this.saucerBullets = this.saucerBullets.filter(sb => !spentSaucer.has(sb));
+
+      // saucers <-> asteroids: both go (the rock splits), nobody scores
+      for (const saucer of this.saucers) {
+        if (!saucer.alive || saucer.x < 0 || saucer.x > this.width) continue;
+        const hull = saucer.hull();
+        const reach = saucer.r + 8;
+        const rock = rockGrid.query(saucer.x, saucer.y, reach).find(a => {
+          if (broken.has(a) || wd(saucer.x, saucer.y, a.x, a.y) >= reach + a.r) return false;
+          const ox = Collision.wrapDelta(saucer.x, a.x, this.width), oy = Collision.wrapDelta(saucer.y, a.y, this.height);
+          return Collision.polygonsOverlap(a.outline(), hull.map(([x, y]) => [x + ox, y + oy]));
+        });
+        if (!rock) continue;
+        broken.add(rock);
+        this.splitAsteroid(rock, saucer);
+        saucer.alive = false;
+        this.emit("asteroidDestroyed", {
+          x: rock.x, y: rock.y, r: rock.r, size: rock.size, debris: ASTEROID_SIZES[rock.size].debris, player: null
+        });
+        this.emit("saucerDestroyed", {
+          x: saucer.x, y: saucer.y, vx: saucer.dx, vy: saucer.dy, hull: saucer.hull(), small: saucer.small, player: null, cause: "asteroid"
+        });
+      }
+      if (broken.size) this.asteroids = this.asteroids.filter(a => !broken.has(a));
+
+      // bullets -> saucers
+      bulletGrid.clear();
+      for (const b of this.bullets) if (!spent.has(b)) bulletGrid.insert(b, b.x, b.y);
+      for (const saucer of this.saucers) {
+        if (!saucer.alive) continue;
+        const b = bulletGrid.query(saucer.x, saucer.y, saucer.r)
+          .find(b => !spent.has(b) && dist(b.x, b.y, saucer.x, saucer.y) < saucer.r);
+        if (!b) continue;
+        if (!b.laser) spent.add(b);
+        b.hits++;
+        saucer.alive = false;
+        if (this.saucersLeft > 0) this.saucersLeft--;
+        this.addScore(saucer.score, b.owner);
+        this.emit("saucerDestroyed", {
+          x: saucer.x, y: saucer.y, vx: saucer.dx, vy: saucer.dy, hull: saucer.hull(), small: saucer.small, player: b.owner, cause: "bullet",
+          pierced: b.hits > 1
+        });
+        this.dropPowerUp(saucer.x, saucer.y, "saucer");
+      }
+
+      sbGrid.clear();
+      for (const sb of this.saucerBullets) sbGrid.insert(sb, sb.x, sb.y);
+      const friendly = this.mode === "coop" && this.friendlyFire;
+
+      for (const ship of this.ships) {
+        if (this.gameOver) break;
+        if (ship.dead || ship.invuln > 0 || this.godMode) continue;
+
+        // the partner's bullets (co-op with friendly fire on)
+        const stray = friendly && bulletGrid.query(ship.x, ship.y, ship.r)
+          .find(b => b.owner !== ship.player && !spent.has(b) && wd(b.x, b.y, ship.x, ship.y) < ship.r);
+        if (stray) {
+          spent.add(stray);
+          this.killShip(ship, "friendlyFire");
+          continue;
+        }
+
+        // saucer bullets -> ship
+        const shot = sbGrid.query(ship.x, ship.y, ship.r)
+          .find(sb => this.saucerBullets.includes(sb) && wd(sb.x, sb.y, ship.x, ship.y) < ship.r);
+        if (shot) {
+          this.saucerBullets.splice(this.saucerBullets.indexOf(shot), 1);
+          this.killShip(ship, "saucerBullet");
+          continue;
+        }
+
+        // ship <-> asteroids: bounding circles first, then the ship's triangle against the outline
+        const hull = ship.hull();
+        const rock = rockGrid.query(ship.x, ship.y, ship.r).find(a => {
+          if (broken.has(a) || wd(ship.x, ship.y, a.x, a.y) >= ship.r + a.r) return false;
+          const ox = Collision.wrapDelta(ship.x, a.x, this.width), oy = Collision.wrapDelta(ship.y, a.y, this.height);
+          return Collision.polygonsOverlap(a.outline(), hull.map(([x, y]) => [x + ox, y + oy]));
+        });
+        if (rock) this.killShip(ship, "asteroid");
+      }
+
+      // ships <-> pickups, by the ship's collision radius (also while blinking or shielded)
+      for (const ship of this.ships) {
+        if (ship.dead || this.gameOver) continue;
+        for (const p of this.powerUps) {
+          if (p.alive && wd(p.x, p.y, ship.x, ship.y) < ship.r + p.r) this.collectPowerUp(ship, p);
+        }
+      }
+      this.powerUps = this.powerUps.filter(p => p.alive);
+      if (spent.size) this.bullets = this.bullets.filter(b => !spent.has(b));
+    }
+  }
+
+  function createGame(opts) { return new Game(opts); }
+
+  return {
+    SIM_VERSION, MODES, MODIFIERS, TUNING, FRAME_RATE, STEP_MS, SHIP_R, SHIP_ROT, SHIP_THRUST, SHIP_DRAG, INVULN_TICKS,
+    RESPAWN_MIN_TICKS, RESPAWN_AUTO_TICKS, RESPAWN_CLEAR_R,
+    HYPERSPACE_COOLDOWN_TICKS, SHIELD_MAX, SHIELD_MIN_START,
+    BULLET_SPEED, ASTEROID_SIZES, EXTRA_LIFE_EVERY, SAUCER_SCORE, SMALL_SAUCER_SCORE, SAUCER_SPAWN_MIN, SAUCER_SPAWN_MAX,
+    SAUCER_BULLET_SPEED, POWERUPS, POWERUP_KINDS, DROP_TABLE, PICKUP_LIFE_TICKS, RAPID_FIRE_REPEAT_TICKS, LEVEL_BANNER_MS, levelParams, modifiedParams, hitsToClear, leadAngle, createRng, randomSeed, createGame,
+    Game, Ship, Bullet, Asteroid, Saucer, SaucerBullet, PowerUp
+  };
+});
@@ -0,0 +1,126 @@
+// daily.js
+// Daily challenge: one seeded field and one rule change per day, the same for everyone
+// - The local date ("2026-10-19") decides the seed (asteroid layout, velocities, saucer timing)
+//   and which of the core's MODIFIERS applies; nothing is fetched, so it works offline
+// - Every daily game is played on the same FIELD_W x FIELD_H playfield (game.js letterboxes it),
+//   since rock placement scales with the field: any screen gets the same run
+// - Best result per date stored in localStorage as { version, days: { date: { score, level,
+//   duration, modifier } } }, the last 60 dates kept
+// - Missing, corrupt or unknown-version data loads as no records instead of throwing
+// - shareText() is the plain-text summary players paste to compare scores
+// - Loads as a plain <script> after core.js and store.js (window.AsteroidsDaily) or with
+//   require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core"), require("./store"));
+  else root.AsteroidsDaily = factory(root.AsteroidsCore, root.AsteroidsStore);
+})(typeof self !== "undefined" ? self : this, function (Core, Store) {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.daily";
+  const SCHEMA_VERSION = 1;
+  const MAX_DAYS = 60;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const FIELD_W = 1024, FIELD_H = 768;
+
+  const MODIFIER_LABELS = {
+    noThrust: "No thrust",
+    oneLife: "One life",
+    fastRocks: "Double-speed asteroids",
+    saucersOnly: "Saucers only"
+  };
+
+  // Local calendar date as YYYY-MM-DD (a player's day, not UTC's)
+  function dateKey(date = new Date()) {
+    return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0") + "-" +
+      String(date.getDate()).padStart(2, "0");
+  }
+
+  // FNV-1a over the date, so every copy of the game gets the same seed for the same day
+  function seedFor(key) {
+    let hash = 0x811c9dc5;
+    for (const ch of "asteroids-daily-" + key) {
+      hash ^= ch.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // The modifiers take turns, one per day
+  function modifierFor(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    const day = Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+    return Core.MODIFIERS[day % Core.MODIFIERS.length];
+  }
+
+  // Everything a daily game needs: { key, seed, modifier, width, height }
+  function challengeFor(date = new Date()) {
+    const key = dateKey(date);
+    return { key, seed: seedFor(key), modifier: modifierFor(key), width: FIELD_W, height: FIELD_H };
+  }
+
+  function formatTime(ms) {
+    const secs = Math.floor(ms / 1000);
+    return Math.floor(secs / 60) + ":" + String(secs % 60).padStart(2, "0");
+  }
+
+  // Plain text for pasting into a chat: the day, its rule, this run and the day's best
+  function shareText({ key, modifier, score, level, duration, best }) {
+    const lines = [
+      "Asteroids daily challenge " + key,
+      "Rule: " + MODIFIER_LABELS[modifier],
+      "Score " + score + " · wave " + level + " · " + formatTime(duration)
+    ];
+    if (best && best.score > score) lines.push("Best today: " + best.score);
+    return lines.join("\n");
+  }
+
+  function validRecord(r) {
+    return r && typeof r === "object" && Number.isFinite(r.score) && r.score >= 0 &&
+      Number.isFinite(r.level) && r.level >= 1 && Number.isFinite(r.duration) && r.duration >= 0 &&
+      Core.MODIFIERS.includes(r.modifier);
+  }
+
+  function createDailyRecords(storage) {
+    const store = Store.createStore(storage, STORAGE_KEY, SCHEMA_VERSION, "Daily records");
+    let days = load();
+
+    function load() {
+      return store.load(data => {
+        if (!data.days || typeof data.days !== "object") return null;
+        const out = {};
+        for (const [key, r] of Object.entries(data.days)) {
+          if (/^\d{4}-\d{2}-\d{2}$/.test(key) && validRecord(r)) out[key] = r;
+        }
+        return out;
+      }) || {};
+    }
+
+    function save() { store.save({ days }); }
+
+    return {
+      // Best result for a date, or null
+      best(key) { return days[key] ? Object.assign({}, days[key]) : null; },
+
+      // Record a finished daily game; returns true if it is the date's new best
+      submit(key, { score, level, duration, modifier }) {
+        const cur = days[key];
+        if (cur && cur.score >= score) return false;
+        days[key] = { score, level, duration: Math.round(duration), modifier };
+        // ISO dates sort as strings; drop the oldest
+        const keys = Object.keys(days).sort();
+        for (const old of keys.slice(0, Math.max(0, keys.length - MAX_DAYS))) delete days[old];
+        save();
+        return true;
+      },
+
+      clear() { days = {}; save(); },
+      reload() { days = load(); }
+    };
+  }
+
+  return {
+    STORAGE_KEY, SCHEMA_VERSION, FIELD_W, FIELD_H, MODIFIER_LABELS,
+    dateKey, seedFor, modifierFor, challengeFor, shareText, createDailyRecords
+  };
+});
@@ -0,0 +1,249 @@
+// debug.js
+// Developer overlay: live tuning and entity inspection, toggled with the ` key (or the DBG
+// button that ?debug in the URL adds to the menu bar, for devices without a keyboard)
+// - FPS and a graph of the last FRAME_SAMPLES frame times, entity counts, and every entity's
+//   collision shape (circles, plus the ship and saucer hulls and the rock outlines) over the field
+// - Sliders for the core's tuning constants (Core.TUNING), the ship's turn rate and each sound's
+//   gain; commands (spawn a rock or saucer, extra life, skip the wave, god mode) come from game.js
+// - The config { version, tuning, gains } exports/imports as JSON; it isn't saved, so a reload
+//   starts from the defaults
+// - Loads as a plain <script> after core.js and render.js (window.AsteroidsDebug) or with
+//   require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./core"), require("./render"));
+  else root.AsteroidsDebug = factory(root.AsteroidsCore, root.AsteroidsRender);
+})(typeof self !== "undefined" ? self : this, function (Core, Render) {
+  "use strict";
+
+  const CONFIG_VERSION = 1;
+  const FRAME_SAMPLES = 120;
+  const GRAPH_MAX_MS = 50;  // frame time at the top of the graph
+  const GRAPH_W = FRAME_SAMPLES, GRAPH_H = 40;
+
+  // Slider for each tuning key: [label, min, max, step]. turnRate is the input's, not the core's.
+  const TUNING_SLIDERS = {
+    shipRadius: ["Ship radius", 5, 40, 1],
+    shipThrust: ["Thrust", 0.01, 0.3, 0.005],
+    shipDrag: ["Drag", 0.95, 1, 0.001],
+    turnRate: ["Turn rate", 0.02, 0.2, 0.005],
+    bulletSpeed: ["Bullet speed", 1, 20, 0.5],
+    saucerBulletSpeed: ["Saucer shot speed", 1, 15, 0.5],
+    asteroidSpeed: ["Rock speed ×", 0.25, 4, 0.05],
+    asteroidCount: ["Extra rocks / wave", -3, 10, 1],
+    saucerInterval: ["Saucer interval ×", 0.1, 3, 0.05]
+  };
+  const GAIN_RANGE = [0, 3, 0.05];
+
+  const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+  // opts: { turnRate (the input's default), gains ({ sound: default gain }),
+  //         onChange(group, key, value) (group "tuning" | "gains"; called for every change) }
+  function createDebug(opts) {
+    const defaults = {
+      tuning: Object.assign({}, Core.TUNING, { turnRate: opts.turnRate }),
+      gains: Object.assign({}, opts.gains)
+    };
+    const onChange = opts.onChange || (() => {});
+    let config = copy(defaults);
+    let godMode = false;
+    const frames = new Float32Array(FRAME_SAMPLES); // ring buffer of frame times (ms)
+    let frameAt = 0, frameCount = 0;
+
+    function copy(c) { return { tuning: Object.assign({}, c.tuning), gains: Object.assign({}, c.gains) }; }
+
+    function apply(group, key, value) {
+      config[group][key] = value;
+      onChange(group, key, value);
+    }
+
+    return {
+      open: false,
+
+      get config() { return copy(config); },
+      get godMode() { return godMode; },
+      setGodMode(on) { godMode = !!on; },
+
+      // Does the game play differently from the defaults? (gains don't count)
+      get changed() {
+        return godMode || Object.keys(defaults.tuning).some(key => config.tuning[key] !== defaults.tuning[key]);
+      },
+
+      // group "tuning" (a TUNING_SLIDERS key) or "gains" (a sound name); clamped to the slider's range
+      set(group, key, value) {
+        if (!(key in defaults[group]) || !Number.isFinite(value)) return;
+        const [min, max] = group === "tuning" ? TUNING_SLIDERS[key].slice(1) : GAIN_RANGE;
+        apply(group, key, clamp(value, min, max));
+      },
+
+      reset() {
+        godMode = false;
+        for (const group of ["tuning", "gains"]) {
+          for (const [key, value] of Object.entries(defaults[group])) apply(group, key, value);
+        }
+      },
+
+      // One animation frame took ms
+      frame(ms) {
+        frames[frameAt] = ms;
+        frameAt = (frameAt + 1) % FRAME_SAMPLES;
+        frameCount = Math.min(frameCount + 1, FRAME_SAMPLES);
+      },
+      get fps() {
+        let total = 0;
+        for (let i = 0; i < frameCount; i++) total += frames[i];
+        return total ? 1000 * frameCount / total : 0;
+      },
+      // Oldest first
+      get frameTimes() {
+        const out = [];
+        for (let i = frameCount; i > 0; i--) out.push(frames[(frameAt - i + FRAME_SAMPLES) % FRAME_SAMPLES]);
+        return out;
+      },
+
+      export() { return JSON.stringify(Object.assign({ version: CONFIG_VERSION }, config), null, 2); },
+
+      // Apply an exported config (unknown keys are ignored, missing ones keep their value);
+      // throws if it isn't one
+      import(text) {
+        let data;
+        try {
+          data = typeof text === "string" ? JSON.parse(text) : text;
+        } catch (err) {
+          throw new Error("Not a debug config");
+        }
+        if (!data || data.version !== CONFIG_VERSION || typeof data.tuning !== "object" || typeof data.gains !== "object") {
+          throw new Error("Not a debug config");
+        }
+        for (const group of ["tuning", "gains"]) {
+          for (const [key, value] of Object.entries(data[group] || {})) this.set(group, key, value);
+        }
+      }
+    };
+  }
+
+  // -------------------------
+  // Drawing (on the canvas, in game.js's render pass)
+  // -------------------------
+  // Collision shapes at the current tick (not interpolated); ctx in playfield coordinates
+  function drawHitboxes(ctx, game, pal) {
+    const dim = Render.withAlpha(pal.text, pal.dim);
+    ctx.save();
+    ctx.lineWidth = 1;
+    const circle = (e, color) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(e.x, e.y, e.r || 2, 0, Math.PI * 2);
+      ctx.stroke();
+    };
+    const poly = (e, pts, color) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      pts.forEach(([x, y], i) => (i ? ctx.lineTo : ctx.moveTo).call(ctx, e.x + x, e.y + y));
+      ctx.closePath();
+      ctx.stroke();
+    };
+    for (const a of game.asteroids) { circle(a, dim); poly(a, a.outline(), pal.danger); }
+    for (const s of game.saucers) { circle(s, dim); poly(s, s.hull(), pal.danger); }
+    for (const s of game.ships) {
+      if (s.dead) continue;
+      circle(s, pal.accent);
+      poly(s, s.hull(), pal.accent);
+    }
+    for (const b of game.bullets) circle(b, pal.accent);
+    for (const sb of game.saucerBullets) circle(sb, pal.danger);
+    for (const p of game.powerUps) circle(p, pal.accent);
+    ctx.restore();
+  }
+
+  // FPS, the frame-time graph and entity counts in a box at (x, y); extra: more { label: count }
+  function drawOverlay(ctx, debug, game, pal, x, y, extra = {}) {
+    const counts = Object.assign({
+      Rocks: game.asteroids.length,
+      Saucers: game.saucers.length,
+      Shots: game.bullets.length,
+      "Saucer shots": game.saucerBullets.length,
+      Pickups: game.powerUps.length
+    }, extra);
+    const lines = Object.entries(counts).map(([label, n]) => label + " " + n);
+    if (debug.godMode) lines.push("GOD MODE");
+    const boxH = GRAPH_H + 30 + lines.length * 14;
+
+    ctx.save();
+    ctx.fillStyle = Render.withAlpha(pal.background, 0.6);
+    ctx.fillRect(x, y, GRAPH_W + 16, boxH);
+    ctx.font = "12px monospace";
+    ctx.textAlign = "left";
+    ctx.fillStyle = pal.text;
+    ctx.fillText(debug.fps.toFixed(0) + " fps", x + 8, y + 16);
+
+    // one bar per frame; the line marks 60 fps
+    const gx = x + 8, gy = y + 22;
+    const times = debug.frameTimes;
+    const budget = 1000 / Core.FRAME_RATE;
+    times.forEach((ms, i) => {
+      const bar = Math.min(GRAPH_H, ms / GRAPH_MAX_MS * GRAPH_H);
+      ctx.fillStyle = ms > budget * 1.5 ? pal.danger : pal.accent;
+      ctx.fillRect(gx + GRAPH_W - times.length + i, gy + GRAPH_H - bar, 1, bar);
+    });
+    ctx.strokeStyle = Render.withAlpha(pal.text, pal.dim);
+    ctx.beginPath();
+    ctx.moveTo(gx, gy + GRAPH_H - budget / GRAPH_MAX_MS * GRAPH_H);
+    ctx.lineTo(gx + GRAPH_W, gy + GRAPH_H - budget / GRAPH_MAX_MS * GRAPH_H);
+    ctx.stroke();
+
+    ctx.fillStyle = pal.text;
+    lines.forEach((line, i) => ctx.fillText(line, x + 8, gy + GRAPH_H + 18 + i * 14));
+    ctx.restore();
+  }
+
+  // -------------------------
+  // Panel (a DOM panel beside the playfield)
+  // -------------------------
+  // commands: [{ label, run }] buttons along the top
+  function renderDebugPanel(container, debug, commands) {
+    container.replaceChildren();
+    const config = debug.config;
+
+    const buttons = document.createElement("div");
+    for (const { label, run } of commands) {
+      const btn = document.createElement("button");
+      btn.textContent = typeof label === "function" ? label() : label;
+      btn.addEventListener("click", () => { run(); renderDebugPanel(container, debug, commands); });
+      buttons.appendChild(btn);
+    }
+    container.appendChild(buttons);
+
+    function slider(group, key, label, min, max, step) {
+      const row = document.createElement("label");
+      row.className = "setting";
+      const text = document.createElement("span");
+      const input = document.createElement("input");
+      input.type = "range";
+      input.min = String(min);
+      input.max = String(max);
+      input.step = String(step);
+      input.value = String(config[group][key]);
+      const show = () => { text.textContent = label + " " + Number(input.value); };
+      input.addEventListener("input", () => { debug.set(group, key, Number(input.value)); show(); });
+      show();
+      row.append(text, input);
+      container.appendChild(row);
+    }
+
+    const heading = text => {
+      const h = document.createElement("h3");
+      h.textContent = text;
+      container.appendChild(h);
+    };
+    heading("Physics & spawning");
+    for (const [key, [label, min, max, step]] of Object.entries(TUNING_SLIDERS)) slider("tuning", key, label, min, max, step);
+    heading("Sound gains");
+    for (const name of Object.keys(config.gains)) slider("gains", name, name, ...GAIN_RANGE);
+  }
+
+  return {
+    CONFIG_VERSION, FRAME_SAMPLES, TUNING_SLIDERS, GAIN_RANGE,
+    createDebug, drawHitboxes, drawOverlay, renderDebugPanel
+  };
+});
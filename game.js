@@ -1,12 +1,44 @@
 // game.js
 // Fixed build based on your stable version
-// - Tap-to-Start retained
+// - Scenes (scenes.js): loading bar, title menu, playing, level transition, paused, game over,
+//   settings, high scores, statistics, achievements and help; menus work by tap,
+//   arrows/Enter/Escape or gamepad d-pad/A/B
 // - Fullscreen using visualViewport where available (fixes iPad wallpaper gap)
-// - Invulnerability timing kept, but **no visible shield** drawn
-// - Asteroid waves respawn after cleared
+// - Rotating/resizing rescales the playfield (core keeps every entity's relative position);
+//   HUD and touch buttons stay inside the safe-area insets
+// - Invulnerability timing kept, but **no visible shield** drawn (only the shield ability shows a ring);
+//   the ship blinks instead
+// - After a death the ship breaks apart and relaunches once the centre is clear (tap/fire to go sooner)
+// - Asteroid waves respawn after cleared, one level harder each time ("Level N" banner)
 // - Saucer sound stops when saucer destroyed or leaves screen
+// - Saucer engine hum loops for as long as a saucer is on the field
+// - Power-up pickups (core.js drops them): lettered rings that blink before they vanish, a cue
+//   per kind, and countdown bars for the running ones under each player's meters
 // - Thrust fade, fire/explode volumes preserved
+// - Fixed 60 Hz simulation step with interpolated rendering (same speed on 60/120 Hz displays)
 // - Descriptive comments for each area
+// - Simulation lives in core.js (headless, seeded); this file handles canvas, audio and input
+// - Every game is recorded; replays (replay.js) can be saved on game over and played back
+// - Local top-10 high scores (highscores.js) with initials entry, on their own screen
+// - Lifetime statistics (stats.js) on their own screen from the title menu, with JSON
+//   export/import for moving them to another device
+// - Daily challenge (daily.js) from the title menu: the date picks the seed and a rule
+//   modifier, the day's best is kept, and the game-over menu can share a text summary
+// - Achievements (achievements.js): a toast on the canvas when one unlocks, and a gallery of
+//   locked and unlocked ones from the title menu
+// - Pause button / Escape / P, and automatic pause when the app is backgrounded
+// - Touch, keyboard and gamepad input merged by input.js, with remappable bindings in Settings
+// - Touch schemes (buttons / floating joystick / tap-to-aim) and button layout chosen in Settings
+// - Hyperspace and shield abilities (their sounds are synthesized; there are no mp3s for them)
+// - Wrap-aware collisions (collision.js grid); objects on an edge are drawn on both sides
+// - Audio mixer in audio.js: volume/mute in Settings (M mutes), synth fallbacks, heartbeat beat
+// - Local two-player from the title menu: take turns (own score, lives and wave each) or co-op
+//   with split controls and a saved friendly-fire toggle; player 2's ship and shots are tinted
+// - Look comes from render.js: themes (classic / neon CRT / high contrast) and reduced motion
+//   picked in Settings, screen shake on big explosions, sparks, line debris when ships and
+//   saucers break up, and exhaust behind a thrusting ship
+// - Debug overlay (debug.js, ` key or ?debug's DBG button): FPS graph, entity counts, hitboxes,
+//   live tuning sliders and cheat commands; a game it changes isn't recorded or counted anywhere
 
 window.onload = () => {
   (async function init() {
@@ -18,7 +50,11 @@ window.onload = () => {
       console.error("Missing canvas #game");
       return;
     }
-    const ctx = canvas.getContext("2d");
+    // Themes, post effects, shake and particles (render.js); ctx is whatever this frame draws on
+    // (an offscreen canvas when the theme adds bloom)
+    const Render = window.AsteroidsRender;
+    const renderer = Render.createRenderer(canvas, window.localStorage);
+    let ctx = renderer.begin();
 
     // logical CSS dimensions (not raw pixel buffer)
     let w = window.innerWidth;
@@ -33,12 +69,24 @@ window.onload = () => {
       canvas.style.height = cssH + "px";
       canvas.width = Math.floor(cssW * dpr);
       canvas.height = Math.floor(cssH * dpr);
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      renderer.resize(cssW, cssH, dpr);
       w = cssW;
       h = cssH;
+      readSafeArea();
+    }
+
+    // Notch / home-indicator insets (index.html copies env(safe-area-inset-*) into CSS variables);
+    // the HUD is kept inside them, the touch buttons are placed by CSS
+    const safe = { top: 0, right: 0, bottom: 0, left: 0 };
+    function readSafeArea() {
+      const style = getComputedStyle(document.documentElement);
+      for (const side of Object.keys(safe)) safe[side] = parseFloat(style.getPropertyValue("--safe-" + side)) || 0;
     }
     window.addEventListener("resize", resizeCanvas);
-    window.addEventListener("orientationchange", resizeCanvas);
+    // iOS reports the old size during orientationchange; measure again once the rotation settles
+    function onRotate() { resizeCanvas(); setTimeout(resizeCanvas, 300); }
+    window.addEventListener("orientationchange", onRotate);
+    if (window.screen && screen.orientation) screen.orientation.addEventListener("change", onRotate);
     if (window.visualViewport) window.visualViewport.addEventListener("resize", resizeCanvas);
     resizeCanvas();
 
@@ -52,75 +100,28 @@ window.onload = () => {
     }, { passive: false });
 
     // -------------------------
-    // Audio: AudioContext + AudioBuffers
+    // Audio: mixer, sounds and heartbeat (audio.js)
     // -------------------------
+    const AudioMod = window.AsteroidsAudio;
     const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const audio = AudioMod.createAudioManager(audioCtx, window.localStorage, { onChange: () => updateMuteButton() });
 
-    const soundFiles = {
-      thrust: "thrust.mp3",
-      fire: "fire.mp3",
-      explode: "explode.mp3",
-      saucer: "saucer.mp3"
-    };
+    // Sounds load behind the boot scene's progress bar (started at the end of init);
+    // missing files get a synthesized stand-in
+    const loading = { done: 0, total: Object.keys(AudioMod.SOUNDS).length };
 
-    // Volume multipliers (tweak these if needed)
-    const V = {
-      thrustGain: 2.0,
-      fireGain: 0.1,
-      explodeGain: 2.0,
-      saucerGain: 1.0
-    };
+    // Thrust: looping buffer with ramp-in/out, restart-safe
+    const thrustLoop = audio.createLoop("thrust");
+    function startThrust() { thrustLoop.start(); }
+    function stopThrust() { thrustLoop.stop(); }
 
-    // Load buffers (await so we can show splash until ready)
-    const buffers = {};
-    async function loadBuffer(url) {
-      try {
-        const r = await fetch(url);
-        const ab = await r.arrayBuffer();
-        return await audioCtx.decodeAudioData(ab);
-      } catch (err) {
-        console.warn("Audio load failed:", url, err);
-        return null;
-      }
-    }
-    for (let k of Object.keys(soundFiles)) buffers[k] = await loadBuffer(soundFiles[k]);
+    // Saucer engine hum: runs for as long as a saucer is on the field
+    const saucerHum = audio.createLoop("saucerHum", { fadeIn: 0.3, fadeOut: 0.3 });
 
-    // Play buffer helper: returns {src,gain} so we can stop it later
-    function playBuffer(name, volume = 1.0, loop = false) {
-      if (!buffers[name]) return null;
-      const src = audioCtx.createBufferSource();
-      src.buffer = buffers[name];
-      src.loop = loop;
-      const gain = audioCtx.createGain();
-      gain.gain.value = volume;
-      src.connect(gain).connect(audioCtx.destination);
-      src.start(0);
-      return { src, gain };
-    }
+    // Silence the loops (pause, replay end, new session); the next tick restarts what's needed
+    function stopLoops() { thrustLoop.stop(); saucerHum.stop(); }
 
-    // Thrust: looping buffer with ramp-in/out, restart-safe
-    let activeThrust = { src: null, gain: null };
-    function startThrust() {
-      if (!buffers.thrust) return;
-      if (activeThrust.src) return;
-      const node = playBuffer("thrust", 0, true);
-      if (!node) return;
-      activeThrust.src = node.src;
-      activeThrust.gain = node.gain;
-      activeThrust.gain.gain.setValueAtTime(0, audioCtx.currentTime);
-      activeThrust.gain.gain.linearRampToValueAtTime(V.thrustGain, audioCtx.currentTime + 0.1);
-    }
-    function stopThrust() {
-      if (!activeThrust.src) return;
-      const t = audioCtx.currentTime;
-      activeThrust.gain.gain.cancelScheduledValues(t);
-      activeThrust.gain.gain.setValueAtTime(activeThrust.gain.gain.value, t);
-      activeThrust.gain.gain.linearRampToValueAtTime(0, t + 0.25);
-      const srcRef = activeThrust.src;
-      setTimeout(() => { try { srcRef.stop(); } catch (e) {} }, 300);
-      activeThrust.src = null;
-      activeThrust.gain = null;
-    }
+    const heartbeat = AudioMod.createHeartbeat(audio);
 
     // Track a short-lived saucer-shot sound instance so it doesn't pile up
     let activeSaucerSound = null;
@@ -130,493 +131,1582 @@ window.onload = () => {
         activeSaucerSound = null;
       }
     }
-
     // -------------------------
     // Game constants & helpers
     // -------------------------
-    const FRAME_RATE = 60;
-    const SHIP_R = 15;
-    const BULLET_SPEED = 6;
-    const BULLET_MAX_SCREEN_TRAVEL = 1.5; // bullets expire after ~1.5x screen
-    const SAUCER_SCORE = 1000;
-    const SAUCER_SPAWN_MIN = 15000;
-    const SAUCER_SPAWN_MAX = 45000;
-
-    function randRange(min, max) { return Math.random() * (max - min) + min; }
-    function wrapX(x) { return (x + w) % w; }
-    function wrapY(y) { return (y + h) % h; }
-    function dist(ax, ay, bx, by) { return Math.hypot(ax - bx, ay - by); }
-
-    // -------------------------
-    // Particles for visual pops
-    // -------------------------
-    class Particle {
-      constructor(x, y) {
-        this.x = x; this.y = y;
-        this.vx = randRange(-1.5, 1.5);
-        this.vy = randRange(-1.5, 1.5);
-        this.life = Math.floor(randRange(20, 40));
-        this.size = randRange(1, 3);
-      }
-      update() { this.x += this.vx; this.y += this.vy; this.life--; }
-      draw() {
-        ctx.globalAlpha = Math.max(0, this.life / 40);
-        ctx.fillStyle = "rgba(255,210,100,1)";
-        ctx.fillRect(this.x, this.y, this.size, this.size);
-        ctx.globalAlpha = 1;
-      }
-    }
-
-    // -------------------------
-    // Entities: Ship, Bullet, Asteroid, Saucer, SaucerBullet
-    // -------------------------
-    class Ship {
-      constructor() {
-        this.x = w / 2;
-        this.y = h / 2;
-        this.a = -Math.PI / 2;
-        this.r = SHIP_R;
-        this.rot = 0;
-        this.vx = 0; this.vy = 0;
-        this.thrusting = false;
-        this.lives = 3;
-        this.invuln = 0; // keep timing for gameplay but we won't draw a ring
-      }
-      update() {
-        this.a += this.rot;
-        if (this.thrusting) {
-          this.vx += 0.08 * Math.cos(this.a);
-          this.vy += 0.08 * Math.sin(this.a);
-          startThrust();
-        } else stopThrust();
-        this.vx *= 0.995; this.vy *= 0.995;
-        this.x += this.vx; this.y += this.vy;
-        this.x = wrapX(this.x); this.y = wrapY(this.y);
-        if (this.invuln > 0) this.invuln--;
-      }
-      draw() {
-        ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.a);
-        ctx.shadowBlur = 12;
-        ctx.shadowColor = "rgba(60,160,255,0.5)";
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 2;
+    const Core = window.AsteroidsCore;
+    const Replay = window.AsteroidsReplay;
+    const HighScores = window.AsteroidsHighScores;
+    const Stats = window.AsteroidsStats;
+    const Achievements = window.AsteroidsAchievements;
+    const Daily = window.AsteroidsDaily;
+    const Debug = window.AsteroidsDebug;
+    const Input = window.AsteroidsInput;
+    const Collision = window.AsteroidsCollision;
+    const Scenes = window.AsteroidsScenes;
+    const { STEP_MS, SHIP_ROT } = Core;
+    const MAX_FRAME_MS = 250; // clamp long frames (backgrounded tab) so we don't fast-forward
+    const MAX_PARTICLES = 400;
+
+    // Blend previous -> current tick position for rendering; skip the blend across a wrap
+    function lerpWrap(prev, cur, alpha, size) {
+      const d = cur - prev;
+      if (Math.abs(d) > size / 2) return cur;
+      return prev + d * alpha;
+    }
+
+    // -------------------------
+    // Break-ups (particles live in render.js)
+    // -------------------------
+    // Every edge of the hull tumbles away from where the ship died
+    function breakShip(ev) {
+      particles.debris(ev.x, ev.y, ev.vx, ev.vy, ev.hull, Core.RESPAWN_MIN_TICKS);
+      renderer.shake(0.5);
+      audio.play("explode");
+    }
+
+    // -------------------------
+    // Entity drawing (state lives in core.js)
+    // -------------------------
+    // Draw something at (x, y) plus its wrapped copies while it straddles an edge
+    function drawWrapped(x, y, r, draw) {
+      for (const [ox, oy] of Collision.wrapOffsets(x, y, r, game.width, game.height)) draw(x + ox, y + oy);
+    }
+
+    function drawShip(s, alpha) {
+      if (s.dead) return;
+      // blink while the respawn grace period lasts (the shield ring shows its own protection)
+      if (s.invuln > 0 && !s.shieldActive && Math.floor(s.invuln / 6) % 2 === 1) return;
+      const x = lerpWrap(s.px, s.x, alpha, game.width), y = lerpWrap(s.py, s.y, alpha, game.height);
+      drawWrapped(x, y, s.r * 1.6, (gx, gy) => drawShipAt(s, gx, gy, alpha));
+    }
+
+    // Each player has their own colour in the theme, so co-op ships can be told apart
+    function drawShipAt(s, x, y, alpha) {
+      const pal = renderer.palette;
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(s.pa + (s.a - s.pa) * alpha);
+      renderer.glow(ctx, Render.withAlpha(pal.glowColor, 0.5), 12);
+      ctx.strokeStyle = pal.players[s.player];
+      ctx.lineWidth = 2 * pal.line;
+      ctx.beginPath();
+      ctx.moveTo(s.r, 0);
+      ctx.lineTo(-s.r * 0.6, -s.r * 0.6);
+      ctx.lineTo(-s.r * 0.6, s.r * 0.6);
+      ctx.closePath();
+      ctx.stroke();
+      if (s.shieldActive) {
+        // ring flickers as the charge runs low
+        const charge = s.shieldEnergy / Core.SHIELD_MAX;
+        ctx.strokeStyle = Render.withAlpha(pal.shield, 0.35 + 0.5 * charge);
+        ctx.lineWidth = 1.5 * pal.line;
         ctx.beginPath();
-        ctx.moveTo(this.r, 0);
-        ctx.lineTo(-this.r * 0.6, -this.r * 0.6);
-        ctx.lineTo(-this.r * 0.6, this.r * 0.6);
-        ctx.closePath();
+        ctx.arc(0, 0, s.r * 1.6, 0, Math.PI * 2);
         ctx.stroke();
-        if (this.thrusting) {
-          ctx.fillStyle = "orange";
-          ctx.beginPath();
-          ctx.moveTo(-this.r * 0.65, -this.r * 0.25);
-          ctx.lineTo(-this.r - 6, 0);
-          ctx.lineTo(-this.r * 0.65, this.r * 0.25);
-          ctx.fill();
-        }
-        ctx.shadowBlur = 0;
-        ctx.restore();
-        // NOTE: invuln exists for collision timing but we do NOT draw any shield ring
       }
+      if (s.thrusting) {
+        ctx.fillStyle = pal.flame;
+        ctx.beginPath();
+        ctx.moveTo(-s.r * 0.65, -s.r * 0.25);
+        ctx.lineTo(-s.r - 6, 0);
+        ctx.lineTo(-s.r * 0.65, s.r * 0.25);
+        ctx.fill();
+      }
+      ctx.shadowBlur = 0;
+      ctx.restore();
     }
 
-    class Bullet {
-      constructor(x, y, a) {
-        this.x = x; this.y = y;
-        this.dx = BULLET_SPEED * Math.cos(a);
-        this.dy = BULLET_SPEED * Math.sin(a);
-        this.dist = 0;
-        this.maxDist = Math.max(w, h) * BULLET_MAX_SCREEN_TRAVEL;
+    // Floating joysticks (one per player in co-op) / aim marker (screen space)
+    function drawTouchOverlay() {
+      const aim = inputs.aimPoint;
+      const pal = renderer.palette;
+      ctx.save();
+      ctx.strokeStyle = Render.withAlpha(pal.text, 0.35);
+      ctx.lineWidth = 2;
+      for (const stick of inputs.sticks) {
+        if (!stick) continue;
+        const dx = stick.x - stick.ox, dy = stick.y - stick.oy;
+        const len = Math.min(Math.hypot(dx, dy), stick.radius) / (Math.hypot(dx, dy) || 1);
+        ctx.beginPath();
+        ctx.arc(stick.ox, stick.oy, stick.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = Render.withAlpha(pal.text, 0.2);
+        ctx.beginPath();
+        ctx.arc(stick.ox + dx * len, stick.oy + dy * len, 22, 0, Math.PI * 2);
+        ctx.fill();
       }
-      update() {
-        this.x = wrapX(this.x + this.dx);
-        this.y = wrapY(this.y + this.dy);
-        this.dist += Math.hypot(this.dx, this.dy);
+      if (aim) {
+        ctx.beginPath();
+        ctx.arc(aim.x, aim.y, 12, 0, Math.PI * 2);
+        ctx.moveTo(aim.x - 18, aim.y); ctx.lineTo(aim.x - 6, aim.y);
+        ctx.moveTo(aim.x + 6, aim.y); ctx.lineTo(aim.x + 18, aim.y);
+        ctx.moveTo(aim.x, aim.y - 18); ctx.lineTo(aim.x, aim.y - 6);
+        ctx.moveTo(aim.x, aim.y + 6); ctx.lineTo(aim.x, aim.y + 18);
+        ctx.stroke();
       }
-      get alive() { return this.dist < this.maxDist; }
-      draw() { ctx.fillStyle = "white"; ctx.fillRect(this.x - 1.2, this.y - 1.2, 2.4, 2.4); }
+      ctx.restore();
     }
 
-    class Asteroid {
-      constructor(x, y, r) {
-        this.x = x; this.y = y; this.r = r;
-        const ang = Math.random() * Math.PI * 2;
-        const spd = Math.random() * 1.6 + 0.2;
-        this.dx = Math.cos(ang) * spd;
-        this.dy = Math.sin(ang) * spd;
-        this.noise = Math.random() * 1000;
-      }
-      update() { this.x = wrapX(this.x + this.dx); this.y = wrapY(this.y + this.dy); }
-      draw() {
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 1.5;
+    // Wrecked ship: mark the launch area and say what we're waiting for
+    // (co-op: each ship's prompt on its own line, prefixed with the player)
+    function drawRespawnPrompt(ship) {
+      if (!ship.dead || ship.lives <= 0 || game.gameOver || ship.deadTicks < Core.RESPAWN_MIN_TICKS) return;
+      const [cx, cy] = ship.spawnPoint(game);
+      const coop = game.mode === "coop";
+      const pal = renderer.palette;
+      ctx.save();
+      ctx.setLineDash([6, 8]);
+      ctx.strokeStyle = Render.withAlpha(ship.respawnClear ? pal.text : pal.danger, 0.35);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(cx, cy, Core.RESPAWN_CLEAR_R, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = pal.players[ship.player];
+      ctx.font = "16px monospace";
+      ctx.textAlign = "center";
+      const text = ship.respawnClear ? "TAP OR FIRE TO LAUNCH" : "WAITING FOR A CLEAR SPACE";
+      if (coop) ctx.fillText("P" + (ship.player + 1) + " " + text, game.width / 2, cy + 5 + ship.home * 20);
+      else ctx.fillText(text, cx, cy + 5);
+      ctx.restore();
+    }
+
+    function drawBullet(b, alpha) {
+      const x = lerpWrap(b.px, b.x, alpha, game.width), y = lerpWrap(b.py, b.y, alpha, game.height);
+      const pal = renderer.palette;
+      if (b.laser) {
+        // a short beam along the direction of travel
+        ctx.strokeStyle = pal.laser;
+        ctx.lineWidth = 2 * pal.line;
         ctx.beginPath();
-        const steps = 10;
-        for (let i = 0; i < steps; i++) {
-          const theta = (i / steps) * Math.PI * 2;
-          const variance = Math.sin(this.noise + theta * 4) * 0.3 + (Math.random() - 0.5) * 0.2;
-          const rad = this.r * (1 + variance * 0.15);
-          const px = this.x + rad * Math.cos(theta);
-          const py = this.y + rad * Math.sin(theta);
-          if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
-        }
-        ctx.closePath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - b.dx * 1.5, y - b.dy * 1.5);
+        ctx.stroke();
+        return;
+      }
+      ctx.fillStyle = pal.players[b.owner]; ctx.fillRect(x - 1.2, y - 1.2, 2.4, 2.4);
+    }
+
+    // Pickup letter, cue and HUD name per power-up kind (colours come from the theme)
+    const POWERUP_STYLES = {
+      rapid:  { letter: "R", sound: "powerRapid",  name: "RAPID FIRE" },
+      spread: { letter: "S", sound: "powerSpread", name: "SPREAD SHOT" },
+      laser:  { letter: "L", sound: "powerLaser",  name: "LASER" },
+      bomb:   { letter: "B", sound: "powerBomb",   name: "SMART BOMB" },
+      life:   { letter: "+", sound: "powerLife",   name: "EXTRA SHIP" }
+    };
+    const PICKUP_BLINK_TICKS = 120; // blink for the last 2 s before a pickup vanishes
+
+    function drawPowerUp(p, alpha) {
+      if (p.life < PICKUP_BLINK_TICKS && Math.floor(p.life / 8) % 2 === 1) return;
+      const style = POWERUP_STYLES[p.kind];
+      const pal = renderer.palette, color = pal.powerUps[p.kind];
+      const x = lerpWrap(p.px, p.x, alpha, game.width), y = lerpWrap(p.py, p.y, alpha, game.height);
+      drawWrapped(x, y, p.r, (gx, gy) => {
         ctx.save();
-        ctx.shadowBlur = 6;
-        ctx.shadowColor = "rgba(255,255,255,0.03)";
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        renderer.glow(ctx, color, 8);
+        ctx.lineWidth = 1.5 * pal.line;
+        ctx.beginPath();
+        ctx.arc(gx, gy, p.r, 0, Math.PI * 2);
         ctx.stroke();
+        ctx.font = "bold 12px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText(style.letter, gx, gy + 4);
         ctx.restore();
+      });
+    }
+
+    function drawAsteroid(a, alpha) {
+      const x = lerpWrap(a.px, a.x, alpha, game.width), y = lerpWrap(a.py, a.y, alpha, game.height);
+      const angle = a.pa + (a.a - a.pa) * alpha;
+      drawWrapped(x, y, a.r, (gx, gy) => drawAsteroidAt(a, gx, gy, angle));
+    }
+
+    function drawAsteroidAt(a, x, y, angle) {
+      const pal = renderer.palette;
+      ctx.strokeStyle = pal.asteroid;
+      ctx.lineWidth = 1.5 * pal.line;
+      ctx.beginPath();
+      a.outline(angle).forEach(([vx, vy], i) => {
+        if (i === 0) ctx.moveTo(x + vx, y + vy); else ctx.lineTo(x + vx, y + vy);
+      });
+      ctx.closePath();
+      ctx.save();
+      renderer.glow(ctx, Render.withAlpha(pal.asteroid, 0.4), 6);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    function drawSaucer(s, alpha) {
+      ctx.save();
+      ctx.translate(s.px + (s.x - s.px) * alpha, s.py + (s.y - s.py) * alpha);
+      const pal = renderer.palette;
+      ctx.fillStyle = Render.withAlpha(pal.saucerFill, 0.08);
+      ctx.strokeStyle = pal.saucer;
+      ctx.lineWidth = 1.5 * pal.line;
+      renderer.glow(ctx, pal.saucer, 8);
+      ctx.beginPath();
+      ctx.ellipse(0, 0, s.r + 8, s.r + 3.5, 0, 0, Math.PI * 2);
+      ctx.fill(); ctx.stroke();
+      ctx.beginPath();
+      ctx.ellipse(0, -4, s.r - 2, s.r / 2.7, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    function drawSaucerBullet(sb, alpha) {
+      const x = lerpWrap(sb.px, sb.x, alpha, game.width), y = lerpWrap(sb.py, sb.y, alpha, game.height);
+      ctx.fillStyle = renderer.palette.saucerBullet; ctx.fillRect(x - 1.5, y - 1.5, 3, 3);
+    }
+
+    // -------------------------
+    // Game state
+    // -------------------------
+    // ?seed=1234 in the URL replays a reported game's asteroid/saucer layout
+    const urlSeed = new URLSearchParams(window.location.search).get("seed");
+    function nextSeed() { return urlSeed !== null ? Number(urlSeed) >>> 0 : Core.randomSeed(); }
+
+    const game = Core.createGame({ width: w, height: h, seed: nextSeed() });
+    const particles = Render.createParticles(MAX_PARTICLES, renderer);
+    let pausedAt = 0;
+    let lastTime = performance.now();
+    let accumulator = 0; // unsimulated time carried between frames
+
+    // Replays: the live game is always recorded; player is set while watching a replay
+    let recorder = null;
+    let player = null;
+    const replayCtl = { paused: false, speed: 1, stepOnce: false, ended: false };
+
+    const highScores = HighScores.createHighScores(window.localStorage);
+    const stats = Stats.createStats(window.localStorage);
+    const dailyRecords = Daily.createDailyRecords(window.localStorage);
+    // While a daily challenge is played: { challenge: { key, seed, modifier }, result, newBest }
+    let daily = null;
+    let debugged = false; // the debug overlay has tuned or cheated in the live game
+    const achievements = Achievements.createAchievements(window.localStorage, { onUnlock: a => toasts.push(a) });
+
+    // Two-player options from the title menu; friendly fire is remembered between visits
+    const COOP_KEY = "asteroids.coop";
+    const COOP_VERSION = 1;
+    const coopSettings = loadCoopSettings();
+    function loadCoopSettings() {
+      try {
+        const data = JSON.parse(window.localStorage.getItem(COOP_KEY));
+        if (data && data.version === COOP_VERSION) return { friendlyFire: !!data.friendlyFire };
+      } catch (err) {
+        console.warn("Co-op settings unreadable, using defaults:", err);
       }
+      return { friendlyFire: false };
+    }
+    function toggleFriendlyFire() {
+      coopSettings.friendlyFire = !coopSettings.friendlyFire;
+      try {
+        window.localStorage.setItem(COOP_KEY, JSON.stringify(Object.assign({ version: COOP_VERSION }, coopSettings)));
+      } catch (err) {
+        console.warn("Co-op settings not saved:", err);
+      }
+    }
+
+    // Short status line shown over the canvas (replay saved / load errors)
+    let notice = { text: "", until: 0 };
+    function showNotice(text) { notice = { text, until: performance.now() + 3000 }; }
+
+    // Achievement unlocks, shown one at a time at the top of the screen
+    const TOAST_MS = 3500;
+    const TOAST_SLIDE_MS = 250;
+    const toasts = [];
+    let toast = null; // { achievement, at }
+
+    // "PLAYER N" over the field when turns change (taking turns)
+    const TURN_BANNER_MS = 2000;
+    let turnBanner = { player: 0, until: 0 };
+
+    // -------------------------
+    // Controls: touch buttons, keyboard and gamepads (input.js)
+    // -------------------------
+    const inputs = Input.createInputManager({
+      buttons: {
+        thrust: document.getElementById("thrust"),
+        fire: document.getElementById("fire"),
+        left: document.getElementById("left"),
+        right: document.getElementById("right"),
+        hyperspace: document.getElementById("hyper"),
+        shield: document.getElementById("shield")
+      },
+      buttons2: {
+        hyperspace: document.getElementById("hyper2"),
+        shield: document.getElementById("shield2")
+      },
+      controls: document.querySelector(".controls"),
+      surface: canvas,
+      toPlayfield: (x, y) => {
+        const { scale, ox, oy } = playfieldView();
+        return [(x - ox) / scale, (y - oy) / scale];
+      },
+      storage: window.localStorage,
+      turnRate: SHIP_ROT,
+      onPress: () => { if (!scenes.is("paused")) audioCtx.resume().catch(() => {}); },
+      onAction: handleAction,
+      onMenu: cmd => scenes.dispatch("menu", cmd)
+    });
+
+    // Press edges (any device) go to the current scene; mute works everywhere except the
+    // initials entry, where M is a letter
+    function handleAction(action) {
+      if (action === "mute") { if (!initials.open) toggleMute(); }
+      else scenes.dispatch("action", action);
+    }
+
+    // -------------------------
+    // Explosion helpers
+    // -------------------------
+    // big chain reactions at high levels: the particle pool drops its oldest sparks rather than
+    // the frame rate
+    function explodeAt(x, y, amount = 10, sound = true) {
+      particles.spark(x, y, amount);
+      if (sound) audio.play("explode");
     }
 
-    class Saucer {
-      constructor() {
-        this.side = Math.random() < 0.5 ? -1 : 1;
-        this.x = this.side < 0 ? -60 : w + 60;
-        this.y = randRange(40, h - 40);
-        this.speed = this.side < 0 ? randRange(1.2, 2.0) : -randRange(1.2, 2.0);
-        this.r = 18;
-        this.fireTimer = randRange(600, 1400);
-        this.alive = true;
-      }
-      update(dt) {
-        this.x += this.speed * (dt / (1000 / FRAME_RATE));
-        if (this.side < 0 && this.x > w + 80) this.alive = false;
-        if (this.side > 0 && this.x < -80) this.alive = false;
-
-        // ensure sound stops if it leaves
-        if (!this.alive) stopActiveSaucerSound();
-
-        this.fireTimer -= dt;
-        if (this.fireTimer <= 0) {
-          this.fireTimer = randRange(600, 1400);
-          if (ship) {
-            const dx = ship.x - this.x, dy = ship.y - this.y;
-            const base = Math.atan2(dy, dx);
-            const inacc = randRange(-0.25, 0.25);
-            saucerBullets.push(new SaucerBullet(this.x, this.y, base + inacc));
+    // Screen shake when a rock breaks, by size
+    const ROCK_SHAKE = { large: 0.25, medium: 0.12, small: 0 };
+    const SAUCER_DEBRIS_TICKS = 60;
+
+    // Turn core events into particles and sound
+    function handleEvents(events) {
+      for (const ev of events) {
+        switch (ev.type) {
+          case "shot":
+            audio.play("fire");
+            break;
+          case "asteroidDestroyed":
+            // a smart bomb has its own boom; don't stack one explosion per rock on top
+            explodeAt(ev.x, ev.y, ev.debris, ev.cause !== "bomb");
+            renderer.shake(ROCK_SHAKE[ev.size]);
+            break;
+          case "extraLife":
+            showNotice(game.mode === "single" ? "EXTRA SHIP!" : "EXTRA SHIP FOR PLAYER " + (ev.player + 1) + "!");
+            break;
+          case "playerOut":
+            showNotice("PLAYER " + (ev.player + 1) + " IS OUT");
+            break;
+          case "turnChanged":
+            // the next player's wave may be mid-banner; the scene follows the parked state
+            stopActiveSaucerSound();
+            heartbeat.reset();
+            turnBanner = { player: ev.player, until: performance.now() + TURN_BANNER_MS };
+            if (scenes.is("playing", "levelTransition")) scenes.go(game.levelTransition > 0 ? "levelTransition" : "playing");
+            break;
+          case "saucerDestroyed":
+            explodeAt(ev.x, ev.y, 16);
+            particles.debris(ev.x, ev.y, ev.vx, ev.vy, ev.hull, SAUCER_DEBRIS_TICKS, "saucer");
+            renderer.shake(0.35);
+            stopActiveSaucerSound();
+            audio.play("explode");
+            break;
+          case "saucerFired":
             // play short saucer shot; stop previous instance first
             stopActiveSaucerSound();
-            if (buffers.saucer) activeSaucerSound = playBuffer("saucer", V.saucerGain, false);
+            activeSaucerSound = audio.play("saucer");
+            break;
+          case "saucerGone":
+            stopActiveSaucerSound();
+            break;
+          case "hyperspace":
+            particles.spark(ev.fromX, ev.fromY, 8);
+            audio.play("hyperspace");
+            break;
+          case "powerUpCollected": {
+            const style = POWERUP_STYLES[ev.kind];
+            audio.play(style.sound);
+            if (ev.kind !== "life") showNotice(game.mode === "single" ? style.name + "!" : "P" + (ev.player + 1) + " " + style.name + "!");
+            break;
           }
+          case "smartBomb":
+            renderer.shake(0.8);
+            break;
+          case "shieldOn":
+            audio.play("shield");
+            break;
+          case "waveCleared":
+            if (scenes.is("playing")) scenes.go("levelTransition");
+            break;
+          case "levelStarted":
+            if (scenes.is("levelTransition")) scenes.go("playing");
+            break;
+          case "gameOver":
+            if (!player) scenes.go("gameOver", ev);
+            break;
+          case "shipDestroyed":
+            breakShip(ev);
+            break;
+        }
+      }
+    }
+
+    // -------------------------
+    // Main loop
+    // -------------------------
+    // One fixed simulation step (STEP_MS of game time)
+    function tick() {
+      let stepInput;
+      if (player) {
+        stepInput = player.next(game);
+        if (!stepInput) {
+          if (!replayCtl.ended) { replayCtl.ended = true; stopLoops(); updateMenuBar(); }
+          return;
         }
+      } else {
+        // canvas size changes are applied on a tick boundary (and recorded); a daily challenge
+        // keeps its fixed field, letterboxed
+        if (!daily && (game.width !== w || game.height !== h)) game.resize(w, h);
+        stepInput = game.mode === "coop"
+          ? game.ships.map(ship => inputs.sample(ship, ship.player))
+          : inputs.sample(game.ship);
+        if (recorder && !game.gameOver) recorder.record(stepInput);
+      }
+      const events = game.step(stepInput, STEP_MS);
+      handleEvents(events);
+      // live games only (a replay isn't a new game)
+      if (recorder) {
+        stats.observe(game, events);
+        achievements.observe(game, events);
+      }
+
+      // heartbeat only while a wave is being played
+      if (!game.gameOver && !game.levelTransition) heartbeat.update(STEP_MS, game.waveRemaining());
+      else heartbeat.reset();
+
+      if (game.ships.some(s => s.thrusting)) startThrust(); else stopThrust();
+      if (game.saucers.length) saucerHum.start(); else saucerHum.stop();
+
+      // exhaust from the tail of every thrusting ship
+      for (const s of game.ships) {
+        if (!s.thrusting || s.dead) continue;
+        particles.exhaust(s.x - Math.cos(s.a) * s.r * 0.8, s.y - Math.sin(s.a) * s.r * 0.8, s.a, s.vx, s.vy);
+      }
+      particles.update();
+    }
+
+    // Run the fixed ticks that ms of elapsed time covers (the remainder carries to the next frame)
+    function advance(ms) {
+      accumulator += ms;
+      while (accumulator >= STEP_MS) {
+        tick();
+        accumulator -= STEP_MS;
       }
-      draw() {
+    }
+
+    // Where the playfield sits on the canvas: centred and scaled to fit
+    function playfieldView() {
+      const scale = Math.min(w / game.width, h / game.height);
+      return { scale, ox: (w - game.width * scale) / 2, oy: (h - game.height * scale) / 2 };
+    }
+
+    // Draw the current state; alpha (0..1) is how far we are between the last two ticks
+    function render(alpha) {
+      const pal = renderer.palette;
+      // background, keeping some of the last frame if the theme has phosphor trails
+      renderer.fade(ctx);
+
+      // Fit the playfield to the canvas (only differs for a daily challenge's fixed field, or a
+      // replay from another screen); screen shake moves the whole field, not the HUD
+      const { scale, ox, oy } = playfieldView();
+      const [sx, sy] = renderer.shakeOffset;
+      ctx.save();
+      ctx.translate(ox + sx, oy + sy);
+      ctx.scale(scale, scale);
+      if (scale !== 1) {
+        ctx.strokeStyle = Render.withAlpha(pal.text, 0.2);
+        ctx.lineWidth = 1;
+        ctx.strokeRect(0, 0, game.width, game.height);
+      }
+      // wrapped ghosts hang over the edges; keep them inside the playfield
+      ctx.beginPath();
+      ctx.rect(0, 0, game.width, game.height);
+      ctx.clip();
+
+      // DRAW ORDER
+      game.asteroids.forEach(a => drawAsteroid(a, alpha));
+      game.saucers.forEach(s => drawSaucer(s, alpha));
+      game.powerUps.forEach(p => drawPowerUp(p, alpha));
+      game.ships.forEach(s => drawShip(s, alpha));
+      if (!player) game.ships.forEach(drawRespawnPrompt);
+      game.bullets.forEach(b => drawBullet(b, alpha));
+      game.saucerBullets.forEach(sb => drawSaucerBullet(sb, alpha));
+      particles.draw(ctx, pal, alpha);
+      if (debug.open) Debug.drawHitboxes(ctx, game, pal);
+      ctx.restore();
+      if (!player) drawTouchOverlay();
+
+      // UI
+      ctx.save();
+      ctx.translate(safe.left, safe.top);
+      if (game.mode === "single") drawPlayerHud(0, 12, "Score: ");
+      else {
+        drawPlayerHud(0, 12, "P1: ");
+        drawPlayerHud(1, Math.max(400, hudRightEdge() - safe.left), "P2: ", "right");
+      }
+      ctx.restore();
+
+      // Today's rule, top centre (the replay status takes this spot while watching)
+      if (daily && !player) {
         ctx.save();
-        ctx.translate(this.x, this.y);
-        ctx.fillStyle = "rgba(200,200,255,0.08)";
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 1.5;
-        ctx.beginPath();
-        ctx.ellipse(0, 0, this.r + 8, this.r + 3.5, 0, 0, Math.PI * 2);
-        ctx.fill(); ctx.stroke();
-        ctx.beginPath();
-        ctx.ellipse(0, -4, this.r - 2, this.r / 2.7, 0, 0, Math.PI * 2);
-        ctx.stroke();
+        ctx.fillStyle = pal.accent;
+        ctx.font = "14px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText("DAILY · " + Daily.MODIFIER_LABELS[daily.challenge.modifier].toUpperCase(), w / 2, 22 + safe.top);
+        ctx.restore();
+      }
+
+      // Between waves: "LEVEL N" banner, fading out over its last half
+      if (game.levelTransition > 0) {
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, game.levelTransition / (Core.LEVEL_BANNER_MS / 2));
+        ctx.fillStyle = pal.text;
+        ctx.font = "bold 32px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText("LEVEL " + (game.level + 1), w / 2, h / 2 - 10);
         ctx.restore();
       }
+
+      // Taking turns: "PLAYER N" whenever the other player comes in
+      if (game.mode === "alternate" && turnBanner.until > performance.now()) {
+        ctx.save();
+        ctx.fillStyle = pal.players[turnBanner.player];
+        ctx.font = "bold 32px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText("PLAYER " + (turnBanner.player + 1), w / 2, h / 2 - 60);
+        ctx.restore();
+      }
+
+      if (player) {
+        const secs = t => (t * STEP_MS / 1000).toFixed(1);
+        let status = "REPLAY " + secs(player.tick) + "s / " + secs(player.replay.ticks) + "s";
+        if (replayCtl.speed !== 1) status += "  " + replayCtl.speed + "x";
+        if (replayCtl.paused) status += "  PAUSED";
+        if (replayCtl.ended) status += "  END";
+        // top centre, clear of the score blocks and power-up timers
+        ctx.fillStyle = pal.accent;
+        ctx.font = "16px monospace";
+        ctx.textAlign = "center";
+        ctx.fillText(status, w / 2, 22 + safe.top);
+      }
     }
 
-    class SaucerBullet {
-      constructor(x, y, a) {
-        this.x = x; this.y = y;
-        this.dx = 5.5 * Math.cos(a);
-        this.dy = 5.5 * Math.sin(a);
-        this.dist = 0;
-        this.maxDist = Math.max(w, h) * BULLET_MAX_SCREEN_TRAVEL;
+    function formatDuration(ms) {
+      const secs = Math.floor(ms / 1000);
+      return Math.floor(secs / 60) + ":" + String(secs % 60).padStart(2, "0");
+    }
+
+    // Top-10 table centred on cx, starting at y = top
+    function drawHighScores(top, cx = w / 2) {
+      const list = highScores.entries;
+      if (!list.length) return;
+      ctx.fillStyle = renderer.palette.text;
+      ctx.textAlign = "center";
+      ctx.font = "bold 16px monospace";
+      ctx.fillText("HIGH SCORES", cx, top);
+      ctx.font = "14px monospace";
+      list.forEach((e, i) => {
+        const line = String(i + 1).padStart(2) + ". " + e.initials + "  " + String(e.score).padStart(7) +
+          "  L" + String(e.level).padEnd(3) + formatDuration(e.duration).padStart(6) + "  " + e.date.slice(0, 10);
+        ctx.fillText(line, cx, top + 24 + i * 18);
+      });
+    }
+
+    // Lives of player i: taking turns, the player who is waiting has theirs parked in the core
+    function livesOf(i) {
+      if (game.mode === "coop") return game.ships[i].lives;
+      return i === game.turn ? game.ship.lives : game.players[i].lives;
+    }
+
+    // Right edge for player 2's score block: clear of the pause/mute bar in the top-right corner
+    const menuBar = document.querySelector(".menu-bar");
+    function hudRightEdge() {
+      const edge = w - safe.right - 12;
+      const box = menuBar && menuBar.getBoundingClientRect();
+      return box && box.width ? Math.min(edge, box.left - 12) : edge;
+    }
+
+    // Score block for player i at x: score, lives, next extra ship, level and (for whoever is
+    // flying) the ability meters. Taking turns, the waiting player's block is dimmed.
+    // align "right": x is the block's right edge and the rows mirror (player 2, top right)
+    function drawPlayerHud(i, x, label, align = "left") {
+      const flying = game.mode !== "alternate" || i === game.turn;
+      const ship = game.mode === "coop" ? game.ships[i] : game.ship;
+      const pal = renderer.palette;
+      const right = align === "right";
+      ctx.globalAlpha = flying ? 1 : 0.45;
+      ctx.fillStyle = pal.players[i];
+      ctx.font = "16px monospace";
+      ctx.textAlign = align;
+      ctx.fillText(label + game.players[i].score, x, 22);
+      const extra = "+1 at " + game.players[i].nextExtraLife;
+      ctx.fillText("Lives: " + livesOf(i), right ? x - ctx.measureText(extra).width - 12 : x, 44);
+      ctx.fillStyle = Render.withAlpha(pal.text, pal.dim);
+      ctx.fillText(extra, right ? x : x + 98, 44);
+      ctx.fillStyle = pal.text;
+      if (game.mode === "alternate" && flying) ctx.fillText("Level: " + game.level + "  UP", x, 66);
+      else if (flying) ctx.fillText("Level: " + game.level, x, 66);
+      if (flying) {
+        drawAbilityMeters(ship, x, 78, right);
+        drawPowerTimers(ship, x, 98, right);
       }
-      update() { this.x = wrapX(this.x + this.dx); this.y = wrapY(this.y + this.dy); this.dist += Math.hypot(this.dx, this.dy); }
-      get alive() { return this.dist < this.maxDist; }
-      draw() { ctx.fillStyle = "rgba(255,100,100,1)"; ctx.fillRect(this.x - 1.5, this.y - 1.5, 3, 3); }
+      ctx.textAlign = "left";
+      ctx.globalAlpha = 1;
     }
 
-    // -------------------------
-    // Game state
-    // -------------------------
-    let ship = new Ship();
-    let bullets = [];
-    let asteroids = [];
-    let particles = [];
-    let saucers = [];
-    let saucerBullets = [];
-    let score = 0;
-    let started = false;
-    let gameOver = false;
-    let lastTime = performance.now();
-    let saucerNextSpawn = performance.now() + randRange(SAUCER_SPAWN_MIN, SAUCER_SPAWN_MAX);
+    // Shield charge bar and hyperspace readiness under the score block (right: bar ends at x,
+    // label to its left)
+    function drawAbilityMeters(ship, x, y, right = false) {
+      const pal = renderer.palette;
+      const barX = right ? x - 60 : x;
+      ctx.strokeStyle = Render.withAlpha(pal.text, pal.dim);
+      ctx.lineWidth = 1;
+      ctx.strokeRect(barX, y, 60, 6);
+      ctx.fillStyle = Render.withAlpha(pal.shield, ship.shieldEnergy >= Core.SHIELD_MIN_START || ship.shieldActive ? 0.9 : 0.35);
+      const fill = 60 * ship.shieldEnergy / Core.SHIELD_MAX;
+      ctx.fillRect(right ? x - fill : x, y, fill, 6);
+      ctx.font = "12px monospace";
+      ctx.textAlign = right ? "right" : "left";
+      ctx.fillStyle = ship.hyperCooldown > 0 ? Render.withAlpha(pal.text, 0.35) : pal.text;
+      ctx.fillText("HYPER", right ? x - 70 : x + 70, y + 7);
+    }
 
-    // initial asteroids
-    function resetAsteroids() {
-      asteroids = [];
-      const initial = 5;
-      for (let i = 0; i < initial; i++) {
-        asteroids.push(new Asteroid(randRange(0, w), randRange(0, h), randRange(26, 44)));
+    // A countdown bar per running power-up, stacked under the ability meters
+    function drawPowerTimers(ship, x, y, right = false) {
+      ctx.font = "12px monospace";
+      ctx.textAlign = right ? "right" : "left";
+      for (const kind of Object.keys(ship.powers)) {
+        const left = ship.powers[kind];
+        if (left <= 0) continue;
+        const bar = 60 * left / Core.POWERUPS[kind].ticks;
+        ctx.fillStyle = renderer.palette.powerUps[kind];
+        ctx.fillRect(right ? x - bar : x, y, bar, 6);
+        ctx.fillText(POWERUP_STYLES[kind].name, right ? x - 70 : x + 70, y + 7);
+        y += 14;
       }
     }
-    resetAsteroids();
 
-    // -------------------------
-    // Controls (touch + keyboard fallback)
-    // -------------------------
-    const thrustBtn = document.getElementById("thrust");
-    const fireBtn = document.getElementById("fire");
-    const leftBtn = document.getElementById("left");
-    const rightBtn = document.getElementById("right");
+    // Dim whatever is behind a screen and put a heading at y
+    function drawDim(alpha) {
+      ctx.fillStyle = Render.withAlpha(renderer.palette.background, alpha);
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    // color: a palette key
+    function drawHeading(text, y, color = "text", size = 32) {
+      ctx.fillStyle = renderer.palette[color];
+      ctx.font = "bold " + size + "px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(text, w / 2, y);
+    }
 
-    // Keyboard fallback
-    if (!thrustBtn || !fireBtn || !leftBtn || !rightBtn) {
-      console.warn("Touch buttons missing; keyboard enabled (arrow keys, space, Z).");
-      window.addEventListener("keydown", e => {
-        if (e.key === "ArrowLeft") ship.rot = -0.08;
-        if (e.key === "ArrowRight") ship.rot = 0.08;
-        if (e.key === " ") { ship.thrusting = true; audioCtx.resume(); }
-        if (e.key.toLowerCase() === "z") shoot();
+    // Vertical canvas menu centred on cx, starting at y = top; records item boxes so taps can pick them
+    function drawMenu(menu, top, cx = w / 2) {
+      const pal = renderer.palette;
+      const lineH = 34, boxW = 240;
+      const x = cx - boxW / 2;
+      const rects = [];
+      ctx.font = "18px monospace";
+      ctx.textAlign = "center";
+      ctx.lineWidth = 1;
+      menu.items.forEach((item, i) => {
+        const y = top + i * lineH;
+        const box = { item, x, y: y - 22, w: boxW, h: 30 };
+        if (item === menu.selected) {
+          ctx.strokeStyle = Render.withAlpha(pal.text, 0.6);
+          ctx.strokeRect(box.x, box.y, box.w, box.h);
+          ctx.fillStyle = pal.text;
+        } else {
+          ctx.fillStyle = Render.withAlpha(pal.text, Math.max(0.6, pal.dim));
+        }
+        ctx.fillText(menu.label(item), cx, y);
+        rects.push(box);
+      });
+      menu.setRects(rects);
+    }
+
+    function drawHint(text, y, cx = w / 2) {
+      const pal = renderer.palette;
+      ctx.fillStyle = Render.withAlpha(pal.text, pal.dim);
+      ctx.font = "12px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(text, cx, y);
+    }
+
+    function drawNotice() {
+      if (!notice.text || performance.now() > notice.until) return;
+      ctx.fillStyle = renderer.palette.text;
+      ctx.font = "14px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(notice.text, w / 2, h - 160 - safe.bottom);
+    }
+
+    // Achievement toast: slides in from the top (reduced motion: just appears), then the next
+    function drawToast() {
+      const now = performance.now();
+      if (toast && now - toast.at > TOAST_MS) toast = null;
+      if (!toast && toasts.length) toast = { achievement: toasts.shift(), at: now };
+      if (!toast) return;
+      const pal = renderer.palette;
+      const t = now - toast.at;
+      const boxW = Math.min(320, w - 20), boxH = 46;
+      let slide = 0;
+      if (!renderer.reducedMotion) slide = Math.max(0, 1 - Math.min(t, TOAST_MS - t) / TOAST_SLIDE_MS);
+      const x = w / 2 - boxW / 2, y = safe.top + 30 - slide * (boxH + 40);
+      ctx.save();
+      ctx.fillStyle = Render.withAlpha(pal.background, 0.85);
+      ctx.fillRect(x, y, boxW, boxH);
+      ctx.strokeStyle = pal.accent;
+      ctx.lineWidth = 1.5 * pal.line;
+      ctx.strokeRect(x, y, boxW, boxH);
+      ctx.textAlign = "center";
+      ctx.fillStyle = pal.accent;
+      ctx.font = "12px monospace";
+      ctx.fillText("ACHIEVEMENT UNLOCKED", w / 2, y + 17);
+      ctx.fillStyle = pal.text;
+      ctx.font = "bold 16px monospace";
+      ctx.fillText(toast.achievement.name, w / 2, y + 37);
+      ctx.restore();
+    }
+
+    // Loading bar while the sound files are fetched and decoded
+    function drawLoading() {
+      const pal = renderer.palette;
+      renderer.clear(ctx);
+      drawHeading("ASTEROIDS", h / 2 - 40, "text", 28);
+      const barW = Math.min(240, w - 40);
+      ctx.strokeStyle = Render.withAlpha(pal.text, 0.6);
+      ctx.lineWidth = 1;
+      ctx.strokeRect(w / 2 - barW / 2, h / 2 - 6, barW, 12);
+      ctx.fillStyle = pal.text;
+      ctx.fillRect(w / 2 - barW / 2, h / 2 - 6, barW * loading.done / loading.total, 12);
+      drawHint("LOADING SOUNDS " + loading.done + "/" + loading.total, h / 2 + 28);
+    }
+
+    // The top-10 table sits beside the menu on wide screens and under it otherwise
+    function drawTitle() {
+      renderer.clear(ctx);
+      const scores = highScores.entries.length;
+      const beside = scores > 0 && w >= 760;
+      const menuH = titleMenu.items.length * 34;
+      const below = scores && !beside ? 60 + scores * 18 : 0;
+      const top = Math.max(safe.top + 60, Math.min(h / 2 - 140, h - safe.bottom - 100 - menuH - below));
+      drawHeading("ASTEROIDS", top, "text", 36);
+      drawHint("Tap a choice, or use arrows / Enter / gamepad", top + 28);
+      const menuX = beside ? w / 2 - 180 : w / 2;
+      drawMenu(titleMenu, top + 80, menuX);
+      const today = Daily.challengeFor();
+      const best = dailyRecords.best(today.key);
+      drawHint("Today's daily: " + Daily.MODIFIER_LABELS[today.modifier] + (best ? " · best " + best.score : ""),
+        top + 80 + menuH, menuX);
+      if (beside) drawHighScores(top + 80, w / 2 + 170);
+      else if (scores) drawHighScores(top + 110 + menuH);
+    }
+
+    function drawGameOver() {
+      drawDim(0.5);
+      const top = Math.max(safe.top + 60, h / 2 - 120);
+      drawHeading("GAME OVER", top, "danger", 40);
+      // seed lets a bug report reproduce this game's layout
+      if (daily) drawHint("DAILY " + daily.challenge.key + " · " + Daily.MODIFIER_LABELS[daily.challenge.modifier], top + 24);
+      else drawHint("seed " + game.seed, top + 24);
+      ctx.fillStyle = renderer.palette.text;
+      ctx.font = "18px monospace";
+      if (game.mode === "single") ctx.fillText("Score " + game.score + "   Level " + game.level, w / 2, top + 54);
+      else {
+        const [a, b] = game.players.map(p => p.score);
+        const winner = a === b ? "DRAW" : "PLAYER " + (a > b ? 1 : 2) + " WINS";
+        ctx.fillText("P1 " + a + "   P2 " + b + "   " + (game.mode === "coop" ? "TEAM " + game.score : winner), w / 2, top + 54);
+      }
+      let menuTop = top + 100;
+      if (daily && daily.result) {
+        const best = dailyRecords.best(daily.challenge.key);
+        if (daily.newBest) drawHeading("NEW BEST TODAY!", top + 80, "accent", 16);
+        else drawHint("Best today: " + best.score, top + 78);
+        menuTop += 20;
+      }
+      if (!initials.open) drawMenu(gameOverMenu, menuTop);
+    }
+
+    function drawPause() {
+      drawDim(0.5);
+      const top = Math.max(safe.top + 60, h / 2 - 110);
+      drawHeading("PAUSED", top);
+      drawMenu(pauseMenu, top + 56);
+    }
+
+    function drawHighScoreScreen() {
+      renderer.clear(ctx);
+      const top = Math.max(safe.top + 40, h * 0.15);
+      if (highScores.entries.length) drawHighScores(top);
+      else drawHeading("NO HIGH SCORES YET", h / 2, "text", 18);
+      drawHint("Tap or press Back to return", h - 40 - safe.bottom);
+    }
+
+    function helpLines() {
+      const keys = inputs.bindings.keyboard;
+      const key = action => keys[action].filter(Boolean).map(Input.keyLabel).join(" / ") || "—";
+      const lines = [
+        "Shoot the asteroids: big ones split, small ones vanish.",
+        "Saucers zig-zag and shoot back; the small ones lead their aim.",
+        "Saucers and their shots break asteroids too.",
+        "Fly over dropped power-ups: R rapid fire, S spread, L laser, B bomb, + ship.",
+        "Extra ship every " + Core.EXTRA_LIFE_EVERY + " points.",
+        "Daily challenge: the same field for everyone each day, with one rule changed.",
+        "Shield drains while held; hyperspace needs to recharge.",
+        ""
+      ];
+      for (const action of Input.ACTIONS) lines.push(Input.ACTION_LABELS[action] + ": " + key(action));
+      lines.push("", "Touch: " + Input.SCHEME_LABELS[inputs.touch.scheme] + " (change in Settings)");
+      lines.push("Co-op: player 1 uses the first keys, gamepad 1 and the left half of the screen;",
+        "player 2 the second keys, gamepad 2 and the right half.");
+      return lines;
+    }
+
+    function drawHelp() {
+      renderer.clear(ctx);
+      const top = Math.max(safe.top + 40, h * 0.12);
+      drawHeading("HOW TO PLAY", top, "text", 24);
+      ctx.fillStyle = renderer.palette.text;
+      ctx.font = "14px monospace";
+      ctx.textAlign = "center";
+      helpLines().forEach((line, i) => ctx.fillText(line, w / 2, top + 40 + i * 20));
+      drawHint("Tap or press Back to return", h - 40 - safe.bottom);
+    }
+
+    // Every achievement: name and goal, bright once unlocked (with the date), dim while locked
+    function drawAchievementsScreen() {
+      renderer.clear(ctx);
+      const pal = renderer.palette;
+      const list = achievements.list;
+      const top = Math.max(safe.top + 40, h * 0.08);
+      drawHeading("ACHIEVEMENTS", top, "text", 24);
+      drawHint(achievements.unlockedCount + " / " + list.length + " unlocked", top + 22);
+      ctx.textAlign = "center";
+      list.forEach((a, i) => {
+        const y = top + 56 + i * 36;
+        ctx.font = "bold 15px monospace";
+        ctx.fillStyle = a.unlocked ? pal.accent : Render.withAlpha(pal.text, pal.dim);
+        ctx.fillText((a.unlocked ? "★ " : "☆ ") + a.name + (a.unlocked ? "  " + a.unlocked.slice(0, 10) : ""), w / 2, y);
+        ctx.font = "12px monospace";
+        ctx.fillStyle = a.unlocked ? pal.text : Render.withAlpha(pal.text, pal.dim);
+        ctx.fillText(a.description, w / 2, y + 15);
       });
-      window.addEventListener("keyup", e => {
-        if (e.key === "ArrowLeft" || e.key === "ArrowRight") ship.rot = 0;
-        if (e.key === " ") ship.thrusting = false;
+      drawHint("Tap or press Back to return", h - 24 - safe.bottom);
+    }
+
+    // Totals can run to hours: "1:02:03"
+    function formatLongDuration(ms) {
+      const mins = Math.floor(ms / 60000);
+      if (mins < 60) return formatDuration(ms);
+      return Math.floor(mins / 60) + ":" + String(mins % 60).padStart(2, "0") + ":" +
+        String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+    }
+    const percent = v => Math.round(v * 100) + "%";
+
+    // Label/value rows for the stats screen
+    function statsRows() {
+      const t = stats.totals, best = stats.best;
+      const deaths = Stats.DEATH_CAUSES.filter(c => t.deaths[c])
+        .map(c => Stats.DEATH_LABELS[c].toLowerCase() + " " + t.deaths[c]).join(", ");
+      const record = (key, format = String) => best[key] ? format(best[key].value) : "—";
+      return {
+        lifetime: [
+          ["Games played", t.games],
+          ["Time played", formatLongDuration(t.duration)],
+          ["Shots / hits", t.shots + " / " + t.hits + " (" + percent(Stats.accuracy(t)) + ")"],
+          ["Asteroids", "L " + t.asteroids.large + "  M " + t.asteroids.medium + "  S " + t.asteroids.small],
+          ["Saucers", t.saucers],
+          ["Deaths", deaths || "0"],
+          ["Distance thrusted", Math.round(t.distance).toLocaleString() + " px"],
+          ["Highest wave", t.wave || "—"]
+        ],
+        best: [
+          ["Score", record("score")],
+          ["Longest game", record("duration", formatDuration)],
+          ["Accuracy", record("accuracy", percent)],
+          ["Asteroids", record("asteroids")],
+          ["Wave reached", record("wave")]
+        ]
+      };
+    }
+
+    // One titled block of rows, colW wide, with its left edge at x
+    function drawStatsBlock(title, rows, x, top, colW) {
+      const pal = renderer.palette;
+      ctx.fillStyle = pal.accent;
+      ctx.font = "bold 16px monospace";
+      ctx.textAlign = "left";
+      ctx.fillText(title, x, top);
+      ctx.font = "14px monospace";
+      rows.forEach(([label, value], i) => {
+        const y = top + 24 + i * 18;
+        ctx.textAlign = "left";
+        ctx.fillStyle = Render.withAlpha(pal.text, Math.max(0.7, pal.dim));
+        ctx.fillText(label, x, y);
+        ctx.textAlign = "right";
+        ctx.fillStyle = pal.text;
+        ctx.fillText(String(value), x + colW, y);
       });
-    } else {
-      // touch handlers
-      thrustBtn.addEventListener("touchstart", e => { e.preventDefault(); ship.thrusting = true; audioCtx.resume(); }, { passive: false });
-      thrustBtn.addEventListener("touchend", e => { e.preventDefault(); ship.thrusting = false; }, { passive: false });
+      return top + 24 + rows.length * 18;
+    }
 
-      let firingInterval = null;
-      function startAutoFire() {
-        if (firingInterval) return;
-        shoot();
-        firingInterval = setInterval(shoot, 200);
+    // Lifetime totals and best-game records; side by side when there's room
+    function drawStatsScreen() {
+      renderer.clear(ctx);
+      const top = Math.max(safe.top + 40, h * 0.1);
+      drawHeading("STATISTICS", top, "text", 24);
+      const rows = statsRows();
+      const colW = Math.min(340, w - 40);
+      let bottom;
+      if (w >= colW * 2 + 60) {
+        const left = w / 2 - colW - 20;
+        bottom = Math.max(drawStatsBlock("LIFETIME", rows.lifetime, left, top + 44, colW),
+          drawStatsBlock("BEST GAME", rows.best, w / 2 + 20, top + 44, colW));
+      } else {
+        const left = w / 2 - colW / 2;
+        bottom = drawStatsBlock("LIFETIME", rows.lifetime, left, top + 44, colW);
+        bottom = drawStatsBlock("BEST GAME", rows.best, left, bottom + 18, colW);
       }
-      function stopAutoFire() { clearInterval(firingInterval); firingInterval = null; }
+      drawMenu(statsMenu, bottom + 40);
+    }
+
+    // -------------------------
+    // Scenes (scenes.js): boot -> title -> playing <-> levelTransition -> gameOver,
+    // with paused, settings, high scores, statistics, achievements, help and replay playback
+    // -------------------------
+    const titleMenu = Scenes.createMenu([
+      { label: "1 player", run: () => startGame("single") },
+      { label: "2 players: take turns", run: () => startGame("alternate") },
+      { label: "2 players: co-op", run: () => startGame("coop") },
+      { label: "Daily challenge", run: () => startGame("single", Daily.challengeFor()) },
+      { label: () => "Friendly fire: " + (coopSettings.friendlyFire ? "On" : "Off"), run: toggleFriendlyFire },
+      { label: "High scores", run: () => scenes.push("highscores") },
+      { label: "Statistics", run: () => scenes.push("stats") },
+      { label: "Achievements", run: () => scenes.push("achievements") },
+      { label: "Settings", run: () => scenes.push("settings") },
+      { label: "How to play", run: () => scenes.push("help") },
+      { label: "Load replay", run: () => replayBar.file.click(), hidden: () => !replayBar.file }
+    ]);
+
+    const statsMenu = Scenes.createMenu([
+      { label: "Export stats", run: () => exportStats() },
+      { label: "Import stats", run: () => statsFile.click(), hidden: () => !statsFile },
+      { label: "Back", run: () => scenes.pop() }
+    ]);
+
+    const pauseMenu = Scenes.createMenu([
+      { label: "Resume", run: () => resumeGame() },
+      { label: "Settings", run: () => scenes.push("settings") },
+      { label: "How to play", run: () => scenes.push("help") },
+      { label: "Quit to title", run: () => scenes.go("title") }
+    ]);
+
+    const gameOverMenu = Scenes.createMenu([
+      { label: "Play again", run: () => playAgain() },
+      { label: "Share result", run: () => shareDaily(), hidden: () => !daily || !daily.result },
+      { label: "Save replay", run: () => saveReplay(), hidden: () => !recorder || recorder.ticks === 0 },
+      { label: "High scores", run: () => scenes.push("highscores") },
+      { label: "Title screen", run: () => scenes.go("title") }
+    ]);
+
+    // Space/A still mashed from the last life mustn't pick a game-over menu item straight away
+    const GAME_OVER_GUARD_MS = 1000;
+    let gameOverAt = 0;
+    let resumeTo = "playing"; // the scene a pause returns to
+    const gameOverGuarded = () => initials.open || performance.now() - gameOverAt < GAME_OVER_GUARD_MS;
+
+    // Full-screen pages pushed over another scene; any back/select/tap returns
+    const page = draw => ({
+      render: draw,
+      menu: cmd => { if (cmd === "back" || cmd === "select") scenes.pop(); },
+      tap: () => scenes.pop()
+    });
+
+    // playing and levelTransition share everything; the names tell the shell which phase it is in
+    const playingScene = {
+      enter: () => updateMenuBar(),
+      update: frame => advance(frame),
+      render: () => render(accumulator / STEP_MS),
+      action: a => { if (a === "pause") pauseGame(); },
+      // input.js registered its playfield listener first, so a touch that has just become the
+      // joystick or aim point is already claimed and requestRespawn skips it
+      tap: (x, y, touchId) => inputs.requestRespawn(touchId)
+    };
+
+    const scenes = Scenes.createSceneMachine({
+      boot: {
+        render: drawLoading
+      },
+
+      title: {
+        enter() {
+          player = null;
+          recorder = null;
+          daily = null;
+          resetSession(nextSeed());
+          titleMenu.reset();
+          updateMenuBar();
+        },
+        render: drawTitle,
+        menu: cmd => titleMenu.command(cmd),
+        tap: (x, y) => titleMenu.tapAt(x, y)
+      },
 
-      fireBtn.addEventListener("touchstart", e => { e.preventDefault(); startAutoFire(); }, { passive: false });
-      fireBtn.addEventListener("touchend", e => { e.preventDefault(); stopAutoFire(); }, { passive: false });
+      playing: playingScene,
+      levelTransition: playingScene,
+
+      paused: {
+        enter(from) {
+          resumeTo = from;
+          pausedAt = performance.now();
+          // drop held controls so nothing is stuck on when we come back
+          inputs.releaseAll();
+          stopLoops();
+          stopActiveSaucerSound();
+          audioCtx.suspend().catch(() => {});
+          pauseMenu.reset();
+          updateMenuBar();
+        },
+        exit() {
+          // rebase wall-clock timers so the pause doesn't count as elapsed time
+          const now = performance.now();
+          notice.until += now - pausedAt;
+          if (toast) toast.at += now - pausedAt;
+          turnBanner.until += now - pausedAt;
+          lastTime = now;
+          accumulator = 0;
+          audioCtx.resume().catch(() => {});
+        },
+        render() {
+          render(accumulator / STEP_MS);
+          drawPause();
+        },
+        // Escape is both the pause action and "back", so only the action resumes
+        menu: cmd => pauseMenu.command(cmd),
+        action: a => { if (a === "pause") resumeGame(); },
+        // taps off the menu resume, as before
+        tap: (x, y) => { if (!pauseMenu.tapAt(x, y)) resumeGame(); }
+      },
+
+      gameOver: {
+        enter(from, ev) {
+          gameOverAt = performance.now();
+          gameOverMenu.reset();
+          // the day's best is kept apart from the table
+          if (daily && !debugged) {
+            daily.result = { score: ev.score, level: ev.level, duration: ev.duration, modifier: daily.challenge.modifier };
+            daily.newBest = dailyRecords.submit(daily.challenge.key, daily.result);
+          }
+          // the table is single-player only, with the normal rules
+          if (ev.mode === "single" && !daily && !debugged && highScores.qualifies(ev.score)) openInitials(ev);
+          updateMenuBar();
+        },
+        update: frame => advance(frame), // the field keeps drifting behind the menu
+        render() {
+          render(accumulator / STEP_MS);
+          drawGameOver();
+        },
+        menu(cmd) {
+          if (gameOverGuarded()) return;
+          if (!gameOverMenu.command(cmd) && cmd === "back") scenes.go("title");
+        },
+        tap: (x, y) => { if (!gameOverGuarded()) gameOverMenu.tapAt(x, y); }
+      },
 
-      leftBtn.addEventListener("touchstart", e => { e.preventDefault(); ship.rot = -0.08; }, { passive: false });
-      leftBtn.addEventListener("touchend", e => { e.preventDefault(); ship.rot = 0; }, { passive: false });
+      settings: {
+        enter() {
+          settingsPanel.hidden = false;
+          renderSettings();
+          updateMenuBar();
+        },
+        exit() {
+          inputs.cancelCapture();
+          settingsPanel.hidden = true;
+          updateMenuBar();
+        },
+        render: () => scenes.call(scenes.below, "render"),
+        menu: cmd => { if (cmd === "back") scenes.pop(); }
+      },
 
-      rightBtn.addEventListener("touchstart", e => { e.preventDefault(); ship.rot = 0.08; }, { passive: false });
-      rightBtn.addEventListener("touchend", e => { e.preventDefault(); ship.rot = 0; }, { passive: false });
+      highscores: page(drawHighScoreScreen),
+      achievements: page(drawAchievementsScreen),
+
+      stats: {
+        enter: () => statsMenu.reset(),
+        render: drawStatsScreen,
+        menu(cmd) { if (!statsMenu.command(cmd) && cmd === "back") scenes.pop(); },
+        tap: (x, y) => { if (!statsMenu.tapAt(x, y)) scenes.pop(); }
+      },
+      help: page(drawHelp),
+
+      replay: {
+        enter(from, p) {
+          player = p;
+          recorder = null;
+          Object.assign(replayCtl, { paused: false, speed: 1, stepOnce: false, ended: false });
+          updateMenuBar();
+        },
+        exit() {
+          player = null;
+          stopLoops();
+        },
+        // scaled by the replay speed, or one tick per frame-step while paused
+        update(frame) {
+          if (!replayCtl.paused) advance(frame * replayCtl.speed);
+          else if (replayCtl.stepOnce) { replayCtl.stepOnce = false; advance(STEP_MS); }
+        },
+        render: () => render(accumulator / STEP_MS),
+        action: a => { if (a === "pause") toggleReplayPause(); },
+        menu: cmd => { if (cmd === "back") exitReplay(); }
+      }
+    });
+
+    function loop(now) {
+      const elapsed = now - lastTime;
+      const frame = Math.min(elapsed, MAX_FRAME_MS);
+      lastTime = now;
+      debug.frame(elapsed);
+      inputs.update();
+      scenes.dispatch("update", frame);
+      renderer.update(frame);
+      ctx = renderer.begin();
+      scenes.dispatch("render");
+      drawNotice();
+      drawToast();
+      if (debug.open) Debug.drawOverlay(ctx, debug, game, renderer.palette, 8 + safe.left, h / 2 - 80, { Particles: particles.length });
+      renderer.end();
+      requestAnimationFrame(loop);
     }
 
     // -------------------------
-    // Shooting & explosion helpers
+    // Sessions: every new game, replay and return to the title resets through here
     // -------------------------
-    function shoot() {
-      if (!started || gameOver) return;
-      const bx = ship.x + Math.cos(ship.a) * ship.r;
-      const by = ship.y + Math.sin(ship.a) * ship.r;
-      bullets.push(new Bullet(bx, by, ship.a));
-      if (buffers.fire) playBuffer("fire", V.fireGain, false);
+    // mode: "single" | "alternate" | "coop"; co-op splits the controls between the players;
+    // modifier: a daily-challenge rule (Core.MODIFIERS) or null; field: a fixed { width, height }
+    // playfield instead of the canvas size
+    function resetSession(seed, mode = "single", modifier = null, field = null) {
+      accumulator = 0;
+      particles.clear();
+      turnBanner = { player: 0, until: 0 };
+      inputs.setSplit(mode === "coop");
+      stopLoops();
+      stopActiveSaucerSound();
+      heartbeat.reset();
+      game.resize(field ? field.width : w, field ? field.height : h);
+      game.reset(seed, { mode, friendlyFire: coopSettings.friendlyFire, modifier, tuning: debug.config.tuning, godMode: debug.godMode });
     }
 
-    function explodeAt(x, y, amount = 10) {
-      for (let i = 0; i < amount; i++) particles.push(new Particle(x, y));
-      if (buffers.explode) playBuffer("explode", V.explodeGain, false);
+    // challenge: a daily challenge (Daily.challengeFor()) to play instead of a random field
+    function startGame(mode, challenge = null) {
+      daily = challenge && { challenge, result: null, newBest: false };
+      if (challenge) resetSession(challenge.seed, mode, challenge.modifier, challenge);
+      else resetSession(nextSeed(), mode);
+      recorder = Replay.createRecorder(game);
+      stats.begin(mode);
+      achievements.begin();
+      debugged = false;
+      if (debug.changed) markDebugged();
+      scenes.go("playing");
     }
 
-    function maybeSpawnSaucer(now) {
-      if (now >= saucerNextSpawn) {
-        saucers.push(new Saucer());
-        saucerNextSpawn = now + randRange(SAUCER_SPAWN_MIN, SAUCER_SPAWN_MAX);
+    // Same mode again; a daily challenge replays the same day's field
+    function playAgain() { startGame(game.mode, daily && daily.challenge); }
+
+    // Share sheet where there is one, else the clipboard
+    function shareDaily() {
+      const { challenge, result } = daily;
+      const text = Daily.shareText(Object.assign({ key: challenge.key, best: dailyRecords.best(challenge.key) }, result));
+      if (navigator.share) {
+        navigator.share({ text }).catch(() => {});
+      } else if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).then(() => showNotice("Result copied"),
+          () => showNotice("Couldn't copy the result"));
+      } else {
+        showNotice("Sharing isn't available here");
       }
     }
 
+    // Taps on the canvas go to the current scene (menus, respawn); touchId is unset for clicks
+    function tapCanvas(x, y, touchId) {
+      if (initials.open) return;
+      scenes.dispatch("tap", x, y, touchId);
+    }
+
+    canvas.addEventListener("touchstart", (e) => {
+      e.preventDefault();
+      if (!scenes.is("paused")) audioCtx.resume().catch(() => {});
+      const t = e.changedTouches[0];
+      tapCanvas(t.clientX, t.clientY, t.identifier);
+    }, { passive: false });
+    canvas.addEventListener("click", e => tapCanvas(e.clientX, e.clientY));
+
     // -------------------------
-    // Main loop
+    // Pause / resume
     // -------------------------
-    function loop(now) {
-      const dt = now - lastTime;
-      lastTime = now;
+    const pauseBtn = document.getElementById("pause-btn");
 
-      // background subtle clear
-      ctx.clearRect(0, 0, w, h);
-      ctx.fillStyle = "rgba(0,0,0,0.12)";
-      ctx.fillRect(0, 0, w, h);
+    function updatePauseButton() {
+      if (!pauseBtn) return;
+      pauseBtn.hidden = !scenes.is("playing", "levelTransition", "paused");
+      pauseBtn.textContent = scenes.is("paused") ? "▶" : "❚❚";
+    }
 
-      // Tap-to-start overlay
-      if (!started) {
-        ctx.fillStyle = "rgba(0,0,0,0.6)";
-        ctx.fillRect(0, 0, w, h);
-        ctx.fillStyle = "white";
-        ctx.font = "bold 28px monospace";
-        ctx.textAlign = "center";
-        ctx.fillText("ASTEROIDS — TAP TO START", w / 2, h / 2 - 10);
-        ctx.font = "14px monospace";
-        ctx.fillText("Tap screen or use on-screen controls", w / 2, h / 2 + 18);
-        requestAnimationFrame(loop);
+    function pauseGame() {
+      if (scenes.is("playing", "levelTransition")) scenes.go("paused");
+    }
+
+    function resumeGame() {
+      if (scenes.is("paused")) scenes.go(resumeTo);
+    }
+
+    function togglePause() { if (scenes.is("paused")) resumeGame(); else pauseGame(); }
+
+    if (pauseBtn) {
+      pauseBtn.addEventListener("touchstart", e => { e.preventDefault(); togglePause(); }, { passive: false });
+      pauseBtn.addEventListener("click", togglePause);
+    }
+
+    // Leaving the app (tab switch, home button, iOS app switcher) always pauses;
+    // a replay being watched pauses too
+    function autoPause() {
+      if (scenes.is("replay")) {
+        if (!replayCtl.paused) toggleReplayPause();
         return;
       }
+      pauseGame();
+    }
+    document.addEventListener("visibilitychange", () => { if (document.hidden) autoPause(); });
+    window.addEventListener("pagehide", autoPause);
 
-      // Updates
-      ship.update();
-      bullets.forEach(b => b.update());
-      bullets = bullets.filter(b => b.alive);
-      asteroids.forEach(a => a.update());
-      saucers.forEach(s => s.update(dt));
-      saucerBullets.forEach(sb => sb.update());
-      saucerBullets = saucerBullets.filter(sb => sb.alive);
-
-      // Collisions: bullets -> asteroids & saucers
-      for (let i = bullets.length - 1; i >= 0; i--) {
-        const b = bullets[i];
-        let removed = false;
-        // asteroids
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-          const a = asteroids[j];
-          if (dist(b.x, b.y, a.x, a.y) < a.r) {
-            explodeAt(a.x, a.y, 10);
-            score += 100;
-            bullets.splice(i, 1);
-            asteroids.splice(j, 1);
-            if (a.r > 20) {
-              asteroids.push(new Asteroid(a.x + 4, a.y + 4, a.r / 2));
-              asteroids.push(new Asteroid(a.x - 4, a.y - 4, a.r / 2));
-            }
-            removed = true;
-            break;
-          }
-        }
-        if (removed) continue;
-        // saucers
-        for (let s = saucers.length - 1; s >= 0; s--) {
-          if (dist(b.x, b.y, saucers[s].x, saucers[s].y) < saucers[s].r) {
-            explodeAt(saucers[s].x, saucers[s].y, 16);
-            score += SAUCER_SCORE;
-            bullets.splice(i, 1);
-            // stop saucer sound
-            stopActiveSaucerSound();
-            saucers.splice(s, 1);
-            if (buffers.explode) playBuffer("explode", V.explodeGain, false);
-            removed = true;
-            break;
-          }
-        }
+    // -------------------------
+    // Settings screen (a DOM panel over the canvas, opened from the title and pause menus)
+    // -------------------------
+    const settingsPanel = document.getElementById("settings");
+
+    function renderSettings() {
+      Render.renderVideoSettings(document.getElementById("settings-video"), renderer);
+      AudioMod.renderAudioSettings(document.getElementById("settings-audio"), audio);
+      Input.renderTouchSettings(document.getElementById("settings-touch"), inputs);
+      Input.renderBindingsEditor(document.getElementById("settings-controls"), inputs);
+    }
+
+    document.getElementById("settings-close").addEventListener("click", () => {
+      if (scenes.is("settings")) scenes.pop();
+    });
+
+    // Mute button (always shown); also M / the "mute" binding
+    const muteBtn = document.getElementById("mute-btn");
+    function updateMuteButton() {
+      if (muteBtn) muteBtn.textContent = audio.settings.muted ? "🔇" : "🔊";
+    }
+    function toggleMute() {
+      audio.toggleMute();
+      if (scenes.is("settings")) AudioMod.renderAudioSettings(document.getElementById("settings-audio"), audio);
+    }
+    if (muteBtn) {
+      muteBtn.addEventListener("click", toggleMute);
+      updateMuteButton();
+    }
+
+    // -------------------------
+    // Replay bar: playback controls (loading and saving live in the title and game-over menus)
+    // -------------------------
+    const replayBar = {
+      pause: document.getElementById("replay-pause"),
+      speed: document.getElementById("replay-speed"),
+      step: document.getElementById("replay-step"),
+      exit: document.getElementById("replay-exit"),
+      file: document.getElementById("replay-file")
+    };
+
+    // Shows the buttons that make sense in the current scene
+    function updateMenuBar() {
+      updatePauseButton();
+      if (!replayBar.pause) return;
+      replayBar.pause.hidden = replayBar.speed.hidden = replayBar.step.hidden = replayBar.exit.hidden =
+        !scenes.is("replay");
+      replayBar.pause.textContent = replayCtl.paused ? "Play" : "Pause";
+      replayBar.speed.textContent = replayCtl.speed === 1 ? "2x" : "1x";
+    }
+
+    // Save text as a .json file via a temporary download link
+    function downloadJSON(name, text) {
+      const blob = new Blob([text], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = name;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    function saveReplay() {
+      if (!recorder) return;
+      downloadJSON("asteroids-replay-" + game.seed + ".json", JSON.stringify(recorder.toJSON()));
+      showNotice("Replay saved");
+    }
+
+    // -------------------------
+    // Stats export / import (a JSON file, so they can move to another device)
+    // -------------------------
+    const statsFile = document.getElementById("stats-file");
+
+    function exportStats() {
+      downloadJSON("asteroids-stats.json", stats.export());
+      showNotice("Stats exported");
+    }
+
+    function importStats(text) {
+      try {
+        stats.import(text);
+      } catch (err) {
+        console.warn("Stats import failed:", err);
+        showNotice("Couldn't import stats: " + err.message);
+        return;
       }
+      showNotice("Stats imported");
+    }
 
-      // Saucer bullets -> ship (ship.invuln still exists but no shield shown)
-      if (ship.invuln <= 0) {
-        for (let i = saucerBullets.length - 1; i >= 0; i--) {
-          const sb = saucerBullets[i];
-          if (dist(sb.x, sb.y, ship.x, ship.y) < ship.r) {
-            explodeAt(ship.x, ship.y, 16);
-            ship.lives--;
-            ship.x = w / 2; ship.y = h / 2; ship.vx = 0; ship.vy = 0;
-            ship.invuln = 90; // kept for gameplay fairness
-            saucerBullets.splice(i, 1);
-            if (ship.lives <= 0) gameOver = true;
-            break;
-          }
+    if (statsFile) {
+      statsFile.addEventListener("change", () => {
+        const file = statsFile.files && statsFile.files[0];
+        statsFile.value = "";
+        if (!file) return;
+        file.text().then(importStats, err => showNotice("Couldn't read stats: " + err.message));
+      });
+    }
+
+    // -------------------------
+    // Debug overlay (debug.js): ` toggles it; ?debug in the URL adds a DBG button for touch devices
+    // -------------------------
+    const debug = Debug.createDebug({
+      turnRate: SHIP_ROT,
+      gains: Object.assign({}, audio.gains),
+      onChange(group, key, value) {
+        if (group === "gains") {
+          audio.gains[key] = value;
+          return;
         }
+        if (key === "turnRate") inputs.setTurnRate(value);
+        else if (!player) game.tune(key, value);
+        // putting a value back to its default (the Defaults command) leaves a clean run clean
+        if (debug.changed) markDebugged();
       }
+    });
+    const debugPanel = document.getElementById("debug");
+    const debugBtn = document.getElementById("debug-btn");
+    const debugFile = document.getElementById("debug-file");
 
-      // Ship <-> asteroids
-      if (ship.invuln <= 0) {
-        for (let i = asteroids.length - 1; i >= 0; i--) {
-          if (dist(ship.x, ship.y, asteroids[i].x, asteroids[i].y) < ship.r + asteroids[i].r) {
-            explodeAt(ship.x, ship.y, 20);
-            ship.lives--;
-            ship.x = w / 2; ship.y = h / 2; ship.vx = 0; ship.vy = 0;
-            ship.invuln = 90;
-            if (buffers.explode) playBuffer("explode", V.explodeGain, false);
-            if (ship.lives <= 0) gameOver = true;
-            break;
-          }
+    // A game the overlay has changed counts for nothing: no replay, stats, achievements,
+    // high score or daily best
+    function markDebugged() {
+      if (!recorder || game.gameOver) return;
+      recorder = null;
+      debugged = true;
+    }
+
+    // Commands act on the live game only (never a replay)
+    function debugCommand(run) {
+      return () => {
+        if (player || !scenes.is("playing", "levelTransition", "paused")) {
+          showNotice("Start a game first");
+          return;
         }
-      }
+        run();
+        markDebugged();
+      };
+    }
+    const spawnSaucer = debugCommand(() => game.spawnSaucer());
 
-      // Remove expired saucers (their .update stops sound when leaving)
-      saucers = saucers.filter(s => s.alive);
+    function toggleGodMode() {
+      debug.setGodMode(!debug.godMode);
+      if (!player) game.godMode = debug.godMode;
+      markDebugged();
+    }
 
-      // Spawn saucer occasionally
-      maybeSpawnSaucer(performance.now());
+    const debugCommands = [
+      { label: "+ Rock", run: debugCommand(() => game.spawnAsteroid()) },
+      { label: "+ Saucer", run: spawnSaucer },
+      { label: "+ Life", run: debugCommand(() => game.players.forEach((p, i) => game.addLife(i))) },
+      { label: "Skip wave", run: debugCommand(() => game.skipWave()) },
+      { label: () => "God mode: " + (debug.godMode ? "On" : "Off"), run: toggleGodMode },
+      { label: "Export", run: exportDebugConfig },
+      { label: "Import", run: () => { if (debugFile) debugFile.click(); } },
+      { label: "Defaults", run: () => { debug.reset(); if (!player) game.godMode = false; } }
+    ];
 
-      // Update particles and remove dead
-      for (let i = particles.length - 1; i >= 0; i--) {
-        particles[i].update();
-        if (particles[i].life <= 0) particles.splice(i, 1);
+    function toggleDebug() {
+      debug.open = !debug.open;
+      if (!debugPanel) return;
+      debugPanel.hidden = !debug.open;
+      if (debug.open) Debug.renderDebugPanel(debugPanel, debug, debugCommands);
+    }
+
+    function exportDebugConfig() {
+      downloadJSON("asteroids-debug.json", debug.export());
+      showNotice("Debug config exported");
+    }
+
+    function importDebugConfig(text) {
+      try {
+        debug.import(text);
+      } catch (err) {
+        console.warn("Debug config import failed:", err);
+        showNotice("Couldn't import debug config: " + err.message);
+        return;
       }
+      if (debug.open) Debug.renderDebugPanel(debugPanel, debug, debugCommands);
+      showNotice("Debug config imported");
+    }
 
-      // DRAW ORDER
-      asteroids.forEach(a => a.draw());
-      saucers.forEach(s => s.draw());
-      ship.draw();
-      bullets.forEach(b => b.draw());
-      saucerBullets.forEach(sb => sb.draw());
-      particles.forEach(p => p.draw());
+    if (debugFile) {
+      debugFile.addEventListener("change", () => {
+        const file = debugFile.files && debugFile.files[0];
+        debugFile.value = "";
+        if (!file) return;
+        file.text().then(importDebugConfig, err => showNotice("Couldn't read debug config: " + err.message));
+      });
+    }
+    if (debugBtn) {
+      debugBtn.hidden = !new URLSearchParams(window.location.search).has("debug");
+      debugBtn.addEventListener("click", toggleDebug);
+    }
+    window.addEventListener("keydown", e => {
+      if (e.code === "Backquote" && !initials.open) toggleDebug();
+    });
 
-      // UI
-      ctx.fillStyle = "white";
-      ctx.font = "16px monospace";
-      ctx.textAlign = "left";
-      ctx.fillText("Score: " + score, 12, 22);
-      ctx.fillText("Lives: " + ship.lives, 12, 44);
-
-      // If all asteroids cleared, spawn a fresh wave after a short delay
-      if (asteroids.length === 0) {
-        setTimeout(() => {
-          if (asteroids.length === 0) resetAsteroids();
-        }, 600);
-      }
-
-      // Game over overlay handling
-      if (gameOver) {
-        ctx.fillStyle = "rgba(0,0,0,0.5)";
-        ctx.fillRect(0, 0, w, h);
-        ctx.fillStyle = "red";
-        ctx.font = "40px monospace";
-        ctx.textAlign = "center";
-        ctx.fillText("GAME OVER", w / 2, h / 2 - 10);
-        ctx.fillStyle = "white";
-        ctx.font = "18px monospace";
-        ctx.fillText("TAP TO RESTART", w / 2, h / 2 + 26);
-        // stop thrust sound
-        ship.thrusting = false;
-        stopThrust();
+    function startReplay(text) {
+      let p;
+      try {
+        p = Replay.createPlayer(text);
+        resetSession(game.seed);
+        p.start(game);
+      } catch (err) {
+        console.warn("Replay load failed:", err);
+        showNotice("Couldn't load replay: " + err.message);
+        return;
       }
+      scenes.go("replay", p);
+    }
 
-      requestAnimationFrame(loop);
-    } // end loop
+    function exitReplay() {
+      if (scenes.is("replay")) scenes.go("title");
+    }
 
-    requestAnimationFrame(loop);
+    function toggleReplayPause() {
+      replayCtl.paused = !replayCtl.paused;
+      if (replayCtl.paused) stopLoops();
+      updateMenuBar();
+    }
+    function toggleReplaySpeed() { replayCtl.speed = replayCtl.speed === 1 ? 2 : 1; updateMenuBar(); }
+    function stepReplay() {
+      if (!replayCtl.paused) toggleReplayPause();
+      replayCtl.stepOnce = true;
+    }
+
+    if (replayBar.pause) {
+      replayBar.file.addEventListener("change", () => {
+        const file = replayBar.file.files && replayBar.file.files[0];
+        replayBar.file.value = "";
+        if (!file) return;
+        audioCtx.resume().catch(() => {});
+        file.text().then(startReplay, err => showNotice("Couldn't read replay: " + err.message));
+      });
+      replayBar.pause.addEventListener("click", toggleReplayPause);
+      replayBar.speed.addEventListener("click", toggleReplaySpeed);
+      replayBar.step.addEventListener("click", stepReplay);
+      replayBar.exit.addEventListener("click", exitReplay);
+    }
 
     // -------------------------
-    // Tap-to-start / restart
+    // High-score initials entry (after a qualifying game)
     // -------------------------
-    canvas.addEventListener("touchstart", (e) => {
-      e.preventDefault();
-      audioCtx.resume().catch(() => {});
-      if (!started) {
-        started = true;
-        gameOver = false;
-        score = 0;
-        ship = new Ship();
-        bullets = [];
-        asteroids = [];
-        saucers = [];
-        saucerBullets = [];
-        particles = [];
-        resetAsteroids();
-        saucerNextSpawn = performance.now() + randRange(SAUCER_SPAWN_MIN, SAUCER_SPAWN_MAX);
-      } else if (gameOver) {
-        gameOver = false;
-        started = true;
-        score = 0;
-        ship = new Ship();
-        bullets = [];
-        asteroids = [];
-        saucers = [];
-        saucerBullets = [];
-        particles = [];
-        resetAsteroids();
-        saucerNextSpawn = performance.now() + randRange(SAUCER_SPAWN_MIN, SAUCER_SPAWN_MAX);
+    const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    const initials = { open: false, letters: ["A", "A", "A"], slot: 0, result: null };
+    const initialsEl = document.getElementById("initials");
+
+    function renderInitials() {
+      for (let i = 0; i < HighScores.INITIALS_LEN; i++) {
+        const span = document.getElementById("initial-" + i);
+        span.textContent = initials.letters[i];
+        span.classList.toggle("active", i === initials.slot);
       }
-    }, { passive: false });
+    }
 
-    // Debug helper
-    window.spawnSaucerNow = function() { saucers.push(new Saucer()); };
+    function cycleInitial(slot, dir) {
+      const idx = LETTERS.indexOf(initials.letters[slot]);
+      initials.letters[slot] = LETTERS[(idx + dir + LETTERS.length) % LETTERS.length];
+      initials.slot = slot;
+      renderInitials();
+    }
+
+    // result: the gameOver event ({ score, level, duration })
+    function openInitials(result) {
+      if (!initialsEl) return;
+      initials.open = true;
+      initials.slot = 0;
+      initials.result = result;
+      document.getElementById("initials-score").textContent = result.score;
+      initialsEl.hidden = false;
+      renderInitials();
+    }
+
+    function submitInitials() {
+      if (!initials.open) return;
+      initials.open = false;
+      initialsEl.hidden = true;
+      const { score, level, duration } = initials.result;
+      const rank = highScores.add({ initials: initials.letters.join(""), score, level, duration });
+      if (rank >= 0) showNotice("High score #" + (rank + 1) + "!");
+    }
+
+    if (initialsEl) {
+      for (let i = 0; i < HighScores.INITIALS_LEN; i++) {
+        document.getElementById("initial-up-" + i).addEventListener("click", () => cycleInitial(i, 1));
+        document.getElementById("initial-down-" + i).addEventListener("click", () => cycleInitial(i, -1));
+      }
+      document.getElementById("initials-ok").addEventListener("click", submitInitials);
+    }
+
+    // Initials keys: type letters, arrows to cycle/move, Backspace back, Enter to save
+    window.addEventListener("keydown", e => {
+      if (!initials.open) return;
+      const k = e.key;
+      if (/^[a-z]$/i.test(k)) {
+        initials.letters[initials.slot] = k.toUpperCase();
+        initials.slot = Math.min(initials.slot + 1, HighScores.INITIALS_LEN - 1);
+        renderInitials();
+      } else if (k === "ArrowUp") cycleInitial(initials.slot, 1);
+      else if (k === "ArrowDown") cycleInitial(initials.slot, -1);
+      else if (k === "ArrowLeft" || k === "Backspace") { initials.slot = Math.max(initials.slot - 1, 0); renderInitials(); }
+      else if (k === "ArrowRight") { initials.slot = Math.min(initials.slot + 1, HighScores.INITIALS_LEN - 1); renderInitials(); }
+      else if (k === "Enter") submitInitials();
+    });
+
+    // Replay keys: F speed, "." frame-step, Q exit (the pause binding pauses)
+    window.addEventListener("keydown", e => {
+      if (!player) return;
+      const k = e.key.toLowerCase();
+      if (k === "f") toggleReplaySpeed();
+      else if (k === ".") stepReplay();
+      else if (k === "q") exitReplay();
+    });
+
+    // Console helper (the debug overlay has the rest)
+    window.spawnSaucerNow = spawnSaucer;
+
+    // Start drawing straight away; the title menu appears once the sounds are in
+    scenes.go("boot");
+    requestAnimationFrame(loop);
+    audio.loadAll((done, total) => { loading.done = done; loading.total = total; })
+      .then(() => scenes.go("title"));
 
     // End init
   })(); // end async init
@@ -0,0 +1,78 @@
+// highscores.js
+// Local top-10 high-score table
+// - Stored in localStorage as { version, entries: [{ initials, score, level, date, duration }] }
+// - Missing, corrupt or unknown-version data loads as an empty table instead of throwing
+// - Storage is passed in so the table also works under Node (any getItem/setItem object)
+// - Loads as a plain <script> after store.js (window.AsteroidsHighScores) or with require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./store"));
+  else root.AsteroidsHighScores = factory(root.AsteroidsStore);
+})(typeof self !== "undefined" ? self : this, function (Store) {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.highscores";
+  const SCHEMA_VERSION = 1;
+  const MAX_ENTRIES = 10;
+  const INITIALS_LEN = 3;
+
+  // Uppercase A-Z only, padded/truncated to three letters
+  function cleanInitials(s) {
+    const letters = String(s || "").toUpperCase().replace(/[^A-Z]/g, "");
+    return (letters + "AAA").slice(0, INITIALS_LEN);
+  }
+
+  function validEntry(e) {
+    return e && typeof e === "object" &&
+      typeof e.initials === "string" && /^[A-Z]{3}$/.test(e.initials) &&
+      Number.isFinite(e.score) && e.score >= 0 &&
+      Number.isFinite(e.level) && e.level >= 1 &&
+      typeof e.date === "string" && !isNaN(Date.parse(e.date)) &&
+      Number.isFinite(e.duration) && e.duration >= 0;
+  }
+
+  function byScore(a, b) { return b.score - a.score || a.date.localeCompare(b.date); }
+
+  function createHighScores(storage) {
+    const store = Store.createStore(storage, STORAGE_KEY, SCHEMA_VERSION, "High scores");
+    let entries = load();
+
+    function load() {
+      return store.load(data => Array.isArray(data.entries) &&
+        data.entries.filter(validEntry).sort(byScore).slice(0, MAX_ENTRIES)) || [];
+    }
+
+    function save() { store.save({ entries }); }
+
+    return {
+      get entries() { return entries.slice(); },
+
+      // Would this score make the table?
+      qualifies(score) {
+        return score > 0 && (entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score);
+      },
+
+      // Insert a finished game; returns its 0-based rank, or -1 if it didn't place
+      add({ initials, score, level, duration, date = new Date() }) {
+        if (!this.qualifies(score)) return -1;
+        const entry = {
+          initials: cleanInitials(initials),
+          score,
+          level,
+          date: (date instanceof Date ? date : new Date(date)).toISOString(),
+          duration: Math.round(duration)
+        };
+        entries.push(entry);
+        entries.sort(byScore);
+        entries = entries.slice(0, MAX_ENTRIES);
+        save();
+        return entries.indexOf(entry);
+      },
+
+      clear() { entries = []; save(); },
+      reload() { entries = load(); }
+    };
+  }
+
+  return { STORAGE_KEY, SCHEMA_VERSION, MAX_ENTRIES, INITIALS_LEN, cleanInitials, createHighScores };
+});
@@ -0,0 +1,622 @@
+// input.js
+// Unified input: touch buttons, keyboard and gamepads merged into one per-tick state
+// - Left/right are tracked separately, so releasing one while still holding the other keeps turning
+// - Held fire auto-repeats every FIRE_REPEAT_TICKS (or the ship's fireRepeat during rapid fire);
+//   a quick tap between ticks still fires once
+// - Hyperspace triggers once per press; shield is held
+// - Gamepad: left stick turns (analog), triggers thrust/fire, d-pad turns, Start pauses
+// - M mutes (unbound on gamepads by default)
+// - Menu navigation (arrows/WASD, Enter/Space, Esc/Backspace; d-pad, A, B) is fixed, not remappable,
+//   and reported separately through onMenu so it can overlap the ship keys
+// - Keyboard and gamepad-button bindings are remappable and saved in localStorage
+// - Split mode (co-op): every source belongs to one of two players. Key slot 1 is player 1's and
+//   slot 2 player 2's (the defaults are an arrows cluster and a WASD cluster); gamepad 1 and 2;
+//   each half of the screen is a joystick for one player, extra fingers on that half fire, and
+//   each player has a shield and a hyperspace button in their bottom corner
+// - Touch schemes: on-screen buttons (fingers can slide between them), a floating joystick that
+//   turns the ship toward the stick, or tap-to-aim; scheme and button size/position/opacity are saved
+// - Loads as a plain <script> (window.AsteroidsInput)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsInput = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.bindings";
+  const BINDINGS_VERSION = 1;
+  const FIRE_REPEAT_TICKS = 12; // 200 ms at 60 Hz
+  const STICK_DEADZONE = 0.2;
+  const BUTTON_THRESHOLD = 0.5; // analog triggers count as pressed past this
+  const KEY_SLOTS = 2;          // keyboard bindings per action
+  const TOUCH_KEY = "asteroids.touch";
+  const TOUCH_VERSION = 1;
+  const JOY_RADIUS = 60;        // px from the stick's origin to full deflection
+  const JOY_THRUST = 0.6;       // deflection that also thrusts
+  const AIM_TOLERANCE = 0.12;   // rad; tap-to-aim fires once the nose is this close
+  const PLAYERS = 2;            // split mode
+
+  const ACTIONS = ["left", "right", "thrust", "fire", "hyperspace", "shield", "pause", "mute"];
+  const ACTION_LABELS = {
+    left: "Rotate left", right: "Rotate right", thrust: "Thrust", fire: "Fire",
+    hyperspace: "Hyperspace", shield: "Shield", pause: "Pause", mute: "Mute"
+  };
+  const TOUCH_ACTIONS = ["thrust", "fire", "left", "right", "hyperspace", "shield"];
+  const MENU_ACTIONS = ["pause", "mute"]; // not ship controls; releaseAll leaves them held
+
+  // Keyboard entries are KeyboardEvent.code (layout independent); gamepad entries are
+  // standard-mapping button indices
+  const DEFAULT_BINDINGS = {
+    keyboard: {
+      // slot 1 / slot 2 are the two players' clusters in split mode
+      left: ["ArrowLeft", "KeyA"],
+      right: ["ArrowRight", "KeyD"],
+      thrust: ["ArrowUp", "KeyW"],
+      fire: ["Slash", "Space"],
+      hyperspace: ["Period", "KeyQ"],
+      shield: ["ArrowDown", "KeyS"],
+      pause: ["Escape", "KeyP"],
+      mute: ["KeyM"]
+    },
+    gamepad: { left: [14], right: [15], thrust: [6], fire: [7], hyperspace: [3], shield: [2], pause: [9], mute: [] }
+  };
+
+  const SCHEMES = ["buttons", "joystick", "aim"];
+  const SCHEME_LABELS = { buttons: "Buttons", joystick: "Joystick", aim: "Tap to aim" };
+  const DEFAULT_TOUCH = { scheme: "buttons", scale: 1, opacity: 1, padX: 0, padY: 0 };
+  const TOUCH_LIMITS = { scale: [0.6, 1.4], opacity: [0.2, 1], padX: [0, 120], padY: [0, 120] };
+
+  // Fixed menu keys -> "up" | "down" | "left" | "right" | "select" | "back"
+  const MENU_KEYS = {
+    ArrowUp: "up", KeyW: "up", ArrowDown: "down", KeyS: "down",
+    ArrowLeft: "left", KeyA: "left", ArrowRight: "right", KeyD: "right",
+    Enter: "select", Space: "select", Escape: "back", Backspace: "back"
+  };
+  const MENU_PAD = { 12: "up", 13: "down", 14: "left", 15: "right", 0: "select", 1: "back" };
+
+  const PAD_BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "L3", "R3", "Up", "Down", "Left", "Right"];
+
+  function copyBindings(b) { return JSON.parse(JSON.stringify(b)); }
+
+  // Keep only well-formed entries; anything missing falls back to the defaults
+  function normalizeBindings(data) {
+    const out = copyBindings(DEFAULT_BINDINGS);
+    if (!data || data.version !== BINDINGS_VERSION) return out;
+    for (const action of ACTIONS) {
+      const keys = data.keyboard && data.keyboard[action];
+      if (Array.isArray(keys)) out.keyboard[action] = keys.filter(k => typeof k === "string").slice(0, KEY_SLOTS);
+      const pad = data.gamepad && data.gamepad[action];
+      if (Array.isArray(pad)) out.gamepad[action] = pad.filter(Number.isInteger).slice(0, 1);
+    }
+    return out;
+  }
+
+  function loadBindings(storage) {
+    try {
+      const raw = storage && storage.getItem(STORAGE_KEY);
+      return normalizeBindings(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      console.warn("Key bindings corrupt; using defaults", err);
+      return copyBindings(DEFAULT_BINDINGS);
+    }
+  }
+
+  function loadTouch(storage) {
+    const out = Object.assign({}, DEFAULT_TOUCH);
+    try {
+      const raw = storage && storage.getItem(TOUCH_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (!data || data.version !== TOUCH_VERSION) return out;
+      if (SCHEMES.includes(data.scheme)) out.scheme = data.scheme;
+      for (const k of Object.keys(TOUCH_LIMITS)) {
+        if (Number.isFinite(data[k])) out[k] = Math.min(TOUCH_LIMITS[k][1], Math.max(TOUCH_LIMITS[k][0], data[k]));
+      }
+    } catch (err) {
+      console.warn("Touch settings corrupt; using defaults", err);
+    }
+    return out;
+  }
+
+  // Shortest signed turn from angle a to angle b
+  function angleDiff(a, b) {
+    const d = (b - a) % (Math.PI * 2);
+    return d > Math.PI ? d - Math.PI * 2 : d < -Math.PI ? d + Math.PI * 2 : d;
+  }
+
+  function keyLabel(code) {
+    if (!code) return "—";
+    if (code.startsWith("Key")) return code.slice(3);
+    if (code.startsWith("Digit")) return code.slice(5);
+    const arrows = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Slash: "/", Period: "." };
+    return arrows[code] || code;
+  }
+
+  function padLabel(button) {
+    if (button === undefined) return "—";
+    return "Pad " + (PAD_BUTTON_NAMES[button] || button);
+  }
+
+  // opts: { buttons: { thrust, fire, left, right, hyperspace, shield } touch elements (any may be missing),
+  //         buttons2: the same for player 2's own buttons in split mode (hyperspace and shield),
+  //         controls (the buttons' container), surface (the canvas, for joystick/aim touches),
+  //         toPlayfield(x, y) -> [x, y] (screen to game coordinates, for tap-to-aim),
+  //         storage, turnRate (rad/tick for a full left/right), onAction(action), onMenu(cmd), onPress() }
+  // onAction fires on every press edge (any device); onMenu on menu key/button presses;
+  // onPress on any touch/key/button press, e.g. to unlock audio on iOS.
+  function createInputManager(opts) {
+    const storage = opts.storage;
+    let turnRate = opts.turnRate;
+    const onAction = opts.onAction || (() => {});
+    const onPress = opts.onPress || (() => {});
+    const onMenu = opts.onMenu || (() => {});
+    let bindings = loadBindings(storage);
+    let touch = loadTouch(storage);
+
+    // Every source ("key:KeyZ", "touch:3", "pad0:fire" ...) currently holding each action,
+    // mapped to the player it belongs to (always 0 unless split)
+    const held = {};
+    for (const action of ACTIONS) held[action] = new Map();
+    let split = false;
+    let aim = null;          // tap-to-aim: { id, x, y } in screen px (not in split mode)
+    const padPrev = {};      // previous button states per gamepad index
+    let capture = null;      // { device, cb } while the bindings editor waits for a key/button
+
+    function freshPlayer() {
+      return {
+        firePressed: false,      // fire went down since the last sample
+        hyperPressed: false,     // same for hyperspace
+        respawnRequested: false, // tap on the playfield while the ship is wrecked
+        fireCooldown: 0,
+        stickTurn: 0,            // analog turn from a gamepad's left stick, -1..1
+        stick: null,             // floating touch joystick: { id, ox, oy, x, y } in screen px
+        state: { rot: 0, thrusting: false, shoot: false, hyperspace: false, shield: false, respawn: false }
+      };
+    }
+    const players = [];
+    for (let i = 0; i < PLAYERS; i++) players.push(freshPlayer());
+
+    function holding(action, player) {
+      for (const p of held[action].values()) if (p === player) return true;
+      return false;
+    }
+
+    function press(action, source, player = 0) {
+      const map = held[action];
+      if (map.has(source)) return;
+      const wasUp = map.size === 0;
+      const playerUp = !holding(action, player);
+      map.set(source, player);
+      if (playerUp) {
+        if (action === "fire") players[player].firePressed = true;
+        if (action === "hyperspace") players[player].hyperPressed = true;
+      }
+      if (wasUp) onAction(action);
+    }
+
+    function release(action, source) {
+      held[action].delete(source);
+    }
+
+    // Drop held ship controls (pause/restart, lost focus). Pause/mute are left alone so a
+    // gamepad button that is still down doesn't register as a fresh press next poll.
+    function releaseAll() {
+      for (const action of ACTIONS) if (!MENU_ACTIONS.includes(action)) held[action].clear();
+      for (let i = 0; i < PLAYERS; i++) players[i] = freshPlayer();
+      aim = null;
+      touchButtons.clear();
+    }
+
+    function actionsForKey(code) {
+      return ACTIONS.filter(a => bindings.keyboard[a].includes(code));
+    }
+
+    // Which player a key, pad or screen position belongs to
+    function keyPlayer(action, code) { return split ? Math.max(0, bindings.keyboard[action].indexOf(code)) : 0; }
+    function padPlayer(index) { return split ? Math.min(index, PLAYERS - 1) : 0; }
+    function sidePlayer(x) { return split && x >= window.innerWidth / 2 ? 1 : 0; }
+
+    // -------------------------
+    // Keyboard
+    // -------------------------
+    window.addEventListener("keydown", e => {
+      if (capture) {
+        // Escape/Backspace also cancel/clear while waiting for a gamepad button
+        e.preventDefault();
+        const cb = capture.cb;
+        if (e.code === "Escape") { capture = null; cb(null); }
+        else if (e.code === "Backspace" || e.code === "Delete") { capture = null; cb({ clear: true }); }
+        else if (capture.device === "keyboard") { capture = null; cb({ code: e.code }); }
+        return;
+      }
+      const actions = actionsForKey(e.code);
+      const menuCmd = MENU_KEYS[e.code];
+      if (!actions.length && !menuCmd) return;
+      if (actions.length) e.preventDefault(); // stop arrows/space scrolling the page
+      if (e.repeat) return;
+      onPress();
+      actions.forEach(a => press(a, "key:" + e.code, keyPlayer(a, e.code)));
+      if (menuCmd) onMenu(menuCmd);
+    });
+    window.addEventListener("keyup", e => {
+      actionsForKey(e.code).forEach(a => release(a, "key:" + e.code));
+    });
+    // keys released while the window is unfocused never send keyup
+    window.addEventListener("blur", () => { releaseAll(); MENU_ACTIONS.forEach(a => held[a].clear()); });
+
+    // -------------------------
+    // Touch buttons: each finger holds whichever button is under it, so sliding from Left onto
+    // Right switches turn direction; touchcancel releases like touchend
+    // -------------------------
+    const buttonList = []; // [{ action, el, player }]
+    for (const [player, set] of [opts.buttons || {}, opts.buttons2 || {}].entries()) {
+      for (const action of TOUCH_ACTIONS) if (set[action]) buttonList.push({ action, el: set[action], player });
+    }
+    const touchButtons = new Map(); // touch identifier -> button it currently holds
+    function buttonAt(x, y) {
+      const el = document.elementFromPoint(x, y);
+      return buttonList.find(b => b.el === el || b.el.contains(el)) || null;
+    }
+    function moveTouch(t, button) {
+      const source = "touch:" + t.identifier;
+      const prev = touchButtons.get(t.identifier) || null;
+      if (prev === button) return;
+      if (prev) release(prev.action, source);
+      if (button) { press(button.action, source, button.player); touchButtons.set(t.identifier, button); }
+      else touchButtons.delete(t.identifier);
+    }
+    function buttonTouch(e) {
+      e.preventDefault();
+      const ending = e.type === "touchend" || e.type === "touchcancel";
+      if (e.type === "touchstart") onPress();
+      // a fresh touch always counts for the button it landed on, even if hit-testing misses
+      const own = buttonList.find(b => b.el === e.currentTarget) || null;
+      for (const t of e.changedTouches) {
+        const button = ending ? null : buttonAt(t.clientX, t.clientY);
+        moveTouch(t, button || (e.type === "touchstart" ? own : null));
+      }
+    }
+    for (const { el } of buttonList) {
+      for (const type of ["touchstart", "touchmove", "touchend", "touchcancel"]) {
+        el.addEventListener(type, buttonTouch, { passive: false });
+      }
+    }
+
+    // -------------------------
+    // Joystick / tap-to-aim on the playfield
+    // Joystick: a touch on the left half drops the stick where it lands; the right half fires.
+    // Aim: touch anywhere to turn toward that point; it fires while the nose is on target.
+    // Split: each half is one player's joystick; further fingers on that half fire.
+    // -------------------------
+    const surface = opts.surface;
+    function surfaceTouch(e) {
+      if (touch.scheme === "buttons" && !split) return;
+      const ending = e.type === "touchend" || e.type === "touchcancel";
+      for (const t of e.changedTouches) {
+        const source = "touch:" + t.identifier;
+        if (touch.scheme === "aim" && !split) {
+          if (ending) { if (aim && aim.id === t.identifier) aim = null; }
+          else if (e.type === "touchstart" || (aim && aim.id === t.identifier)) aim = { id: t.identifier, x: t.clientX, y: t.clientY };
+          continue;
+        }
+        const owner = players.findIndex(p => p.stick && p.stick.id === t.identifier);
+        if (owner >= 0) {
+          const stick = players[owner].stick;
+          if (ending) { players[owner].stick = null; release("thrust", "stick" + owner); continue; }
+          stick.x = t.clientX; stick.y = t.clientY;
+          // floating: drag past the rim and the origin follows the finger
+          const dx = stick.x - stick.ox, dy = stick.y - stick.oy, len = Math.hypot(dx, dy);
+          if (len > JOY_RADIUS) { stick.ox = stick.x - dx / len * JOY_RADIUS; stick.oy = stick.y - dy / len * JOY_RADIUS; }
+          if (Math.min(len, JOY_RADIUS) / JOY_RADIUS >= JOY_THRUST) press("thrust", "stick" + owner, owner);
+          else release("thrust", "stick" + owner);
+        } else if (e.type === "touchstart") {
+          const player = sidePlayer(t.clientX);
+          const wantsStick = split || t.clientX < window.innerWidth / 2;
+          if (wantsStick && !players[player].stick) {
+            players[player].stick = { id: t.identifier, ox: t.clientX, oy: t.clientY, x: t.clientX, y: t.clientY };
+          } else press("fire", source, player);
+        } else if (ending) release("fire", source);
+      }
+    }
+    if (surface) {
+      for (const type of ["touchstart", "touchmove", "touchend", "touchcancel"]) {
+        surface.addEventListener(type, surfaceTouch, { passive: false });
+      }
+    }
+
+    // Turn rate that brings heading a toward target, capped at the normal turn rate
+    function steer(a, target) {
+      const d = angleDiff(a, target);
+      return Math.max(-turnRate, Math.min(turnRate, d));
+    }
+
+    // Scheme and layout go onto the controls container as a data attribute and CSS variables
+    function applyTouchLayout() {
+      const el = opts.controls;
+      if (!el) return;
+      el.dataset.scheme = split ? "split" : touch.scheme;
+      el.style.setProperty("--btn-scale", touch.scale);
+      el.style.setProperty("--btn-opacity", touch.opacity);
+      el.style.setProperty("--pad-x", touch.padX + "px");
+      el.style.setProperty("--pad-y", touch.padY + "px");
+    }
+    applyTouchLayout();
+
+    // -------------------------
+    // Gamepads (polled once per frame)
+    // -------------------------
+    function buttonDown(b) { return !!b && (b.pressed || b.value > BUTTON_THRESHOLD); }
+
+    function pollGamepads() {
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      const turn = players.map(() => 0);
+      for (const pad of pads) {
+        if (!pad || !pad.connected) continue;
+        const prev = padPrev[pad.index] || [];
+        const now = pad.buttons.map(buttonDown);
+        padPrev[pad.index] = now;
+
+        if (capture && capture.device === "gamepad") {
+          const hit = now.findIndex((down, i) => down && !prev[i]);
+          if (hit >= 0) {
+            const cb = capture.cb;
+            capture = null;
+            cb({ button: hit });
+          }
+          continue;
+        }
+
+        for (const action of ACTIONS) {
+          const source = "pad" + pad.index + ":" + action;
+          const down = bindings.gamepad[action].some(i => now[i]);
+          if (down && !held[action].has(source)) onPress();
+          if (down) press(action, source, padPlayer(pad.index)); else release(action, source);
+        }
+
+        for (const i of Object.keys(MENU_PAD)) {
+          if (now[i] && !prev[i]) { onPress(); onMenu(MENU_PAD[i]); }
+        }
+
+        const x = pad.axes[0] || 0;
+        if (Math.abs(x) > STICK_DEADZONE) turn[padPlayer(pad.index)] = (x - Math.sign(x) * STICK_DEADZONE) / (1 - STICK_DEADZONE);
+      }
+      players.forEach((p, i) => { p.stickTurn = turn[i]; });
+    }
+
+    return {
+      ACTIONS,
+
+      // Call once per animation frame (polls gamepads)
+      update() { pollGamepads(); },
+
+      // Call once per simulation tick: { rot, thrusting, shoot, hyperspace, shield, respawn }.
+      // ship ({ x, y, a } in game coordinates) lets the joystick and tap-to-aim steer toward a heading;
+      // its fireRepeat (ticks, 0 for the default) sets how fast held fire repeats.
+      // player (0 or 1) picks whose controls to read in split mode.
+      sample(ship, player = 0) {
+        const pl = players[player], state = pl.state, stick = pl.stick;
+        const digital = (holding("right", player) ? 1 : 0) - (holding("left", player) ? 1 : 0);
+        state.rot = (digital || pl.stickTurn) * turnRate;
+        let aimFire = false;
+        if (!state.rot && ship && !ship.dead) {
+          if (stick && Math.hypot(stick.x - stick.ox, stick.y - stick.oy) > JOY_RADIUS * STICK_DEADZONE) {
+            state.rot = steer(ship.a, Math.atan2(stick.y - stick.oy, stick.x - stick.ox));
+          } else if (aim) {
+            const [tx, ty] = opts.toPlayfield ? opts.toPlayfield(aim.x, aim.y) : [aim.x, aim.y];
+            const target = Math.atan2(ty - ship.y, tx - ship.x);
+            state.rot = steer(ship.a, target);
+            aimFire = Math.abs(angleDiff(ship.a, target)) < AIM_TOLERANCE;
+          }
+        }
+        state.thrusting = holding("thrust", player);
+        // a fresh press always fires; holding repeats once the cooldown runs out
+        state.shoot = pl.firePressed || ((holding("fire", player) || aimFire) && pl.fireCooldown <= 0);
+        if (state.shoot) pl.fireCooldown = (ship && ship.fireRepeat) || FIRE_REPEAT_TICKS;
+        if (pl.fireCooldown > 0) pl.fireCooldown--;
+        pl.firePressed = false;
+        state.hyperspace = pl.hyperPressed;
+        pl.hyperPressed = false;
+        state.shield = holding("shield", player);
+        state.respawn = pl.respawnRequested;
+        pl.respawnRequested = false;
+        return state;
+      },
+
+      // Full left/right turn rate in rad/tick (the debug overlay tunes it live)
+      get turnRate() { return turnRate; },
+      setTurnRate(rate) { turnRate = rate; },
+
+      // One-shot "launch the next ship" for the coming tick (the game ignores it while alive).
+      // touchId: the playfield touch asking; one steering a joystick or the aim point doesn't
+      // count, so a steering touch never relaunches a wreck.
+      requestRespawn(touchId) {
+        if (touchId != null && (players.some(p => p.stick && p.stick.id === touchId) || (aim && aim.id === touchId))) return;
+        players.forEach(p => { p.respawnRequested = true; });
+      },
+
+      releaseAll,
+
+      // Split the controls between two players (co-op) or give everything to player 1
+      get split() { return split; },
+      setSplit(on) {
+        split = !!on;
+        releaseAll();
+        applyTouchLayout();
+      },
+
+      // Touch sticks (one per player; null when up) and the aim point for drawing (screen px)
+      get sticks() { return players.map(p => p.stick && Object.assign({ radius: JOY_RADIUS }, p.stick)); },
+      get aimPoint() { return aim && { x: aim.x, y: aim.y }; },
+
+      get touch() { return Object.assign({}, touch); },
+      setTouch(key, value) {
+        if (key === "scheme") { if (SCHEMES.includes(value)) touch.scheme = value; }
+        else touch[key] = Math.min(TOUCH_LIMITS[key][1], Math.max(TOUCH_LIMITS[key][0], value));
+        releaseAll();
+        applyTouchLayout();
+        this.saveTouch();
+      },
+      resetTouch() { touch = Object.assign({}, DEFAULT_TOUCH); releaseAll(); applyTouchLayout(); this.saveTouch(); },
+      saveTouch() {
+        try {
+          storage.setItem(TOUCH_KEY, JSON.stringify(Object.assign({ version: TOUCH_VERSION }, touch)));
+        } catch (err) {
+          console.warn("Touch settings not saved:", err);
+        }
+      },
+
+      get bindings() { return copyBindings(bindings); },
+
+      // device "keyboard" (value: code, slot 0..KEY_SLOTS-1) or "gamepad" (value: button index);
+      // value null clears the slot. A key/button moves off any other action using it.
+      setBinding(device, action, slot, value) {
+        const table = bindings[device];
+        if (value !== null) {
+          for (const a of ACTIONS) table[a] = table[a].filter(v => v !== value);
+        }
+        const list = table[action].slice();
+        if (value === null) list.splice(slot, 1);
+        else list[Math.min(slot, list.length)] = value;
+        table[action] = list.slice(0, device === "keyboard" ? KEY_SLOTS : 1);
+        this.save();
+      },
+
+      resetBindings() { bindings = copyBindings(DEFAULT_BINDINGS); releaseAll(); this.save(); },
+
+      save() {
+        try {
+          storage.setItem(STORAGE_KEY, JSON.stringify(Object.assign({ version: BINDINGS_VERSION }, bindings)));
+        } catch (err) {
+          console.warn("Key bindings not saved:", err);
+        }
+      },
+
+      // Wait for the next key (device "keyboard") or gamepad button; cb(null) on cancel
+      captureNext(device, cb) {
+        if (capture) capture.cb(null);
+        releaseAll();
+        capture = { device, cb };
+      },
+      cancelCapture() {
+        if (!capture) return;
+        const cb = capture.cb;
+        capture = null;
+        cb(null);
+      }
+    };
+  }
+
+  // -------------------------
+  // Bindings editor (settings screen section)
+  // -------------------------
+  function renderBindingsEditor(container, manager) {
+    container.replaceChildren();
+    const table = document.createElement("table");
+    table.className = "bindings";
+
+    function cell(row, text, onClick) {
+      const td = document.createElement("td");
+      if (onClick) {
+        const btn = document.createElement("button");
+        btn.textContent = text;
+        btn.addEventListener("click", () => onClick(btn));
+        td.appendChild(btn);
+      } else td.textContent = text;
+      row.appendChild(td);
+    }
+
+    function rebind(btn, device, action, slot) {
+      btn.textContent = device === "keyboard" ? "press a key…" : "press a button…";
+      manager.captureNext(device, result => {
+        if (result && result.clear) manager.setBinding(device, action, slot, null);
+        else if (result && device === "keyboard") manager.setBinding(device, action, slot, result.code);
+        else if (result) manager.setBinding(device, action, slot, result.button);
+        renderBindingsEditor(container, manager);
+      });
+    }
+
+    const head = document.createElement("tr");
+    ["", "P1 key", "P2 key", "Pad"].forEach(text => cell(head, text));
+    table.appendChild(head);
+
+    const bindings = manager.bindings;
+    for (const action of ACTIONS) {
+      const row = document.createElement("tr");
+      cell(row, ACTION_LABELS[action]);
+      for (let slot = 0; slot < KEY_SLOTS; slot++) {
+        cell(row, keyLabel(bindings.keyboard[action][slot]), btn => rebind(btn, "keyboard", action, slot));
+      }
+      cell(row, padLabel(bindings.gamepad[action][0]), btn => rebind(btn, "gamepad", action, 0));
+      table.appendChild(row);
+    }
+    container.appendChild(table);
+
+    const hint = document.createElement("p");
+    hint.className = "hint";
+    hint.textContent = "Tap a binding, then press the new key or button. Esc cancels, Backspace clears. " +
+      "In single-player either key works; in co-op the key columns (and gamepads 1 and 2) belong to each player.";
+    container.appendChild(hint);
+
+    const reset = document.createElement("button");
+    reset.textContent = "Reset controls";
+    reset.addEventListener("click", () => { manager.resetBindings(); renderBindingsEditor(container, manager); });
+    container.appendChild(reset);
+  }
+
+  // -------------------------
+  // Touch controls editor (settings screen section)
+  // -------------------------
+  function renderTouchSettings(container, manager) {
+    container.replaceChildren();
+    const t = manager.touch;
+
+    const schemes = document.createElement("div");
+    schemes.className = "setting";
+    for (const scheme of SCHEMES) {
+      const btn = document.createElement("button");
+      btn.textContent = SCHEME_LABELS[scheme];
+      btn.className = scheme === t.scheme ? "selected" : "";
+      btn.addEventListener("click", () => { manager.setTouch("scheme", scheme); renderTouchSettings(container, manager); });
+      schemes.appendChild(btn);
+    }
+    container.appendChild(schemes);
+
+    function slider(label, key, scale, unit) {
+      const row = document.createElement("label");
+      row.className = "setting";
+      const text = document.createElement("span");
+      text.textContent = label;
+      const input = document.createElement("input");
+      input.type = "range";
+      input.min = String(TOUCH_LIMITS[key][0] * scale);
+      input.max = String(TOUCH_LIMITS[key][1] * scale);
+      input.value = String(Math.round(t[key] * scale));
+      input.title = input.value + unit;
+      input.addEventListener("input", () => { manager.setTouch(key, Number(input.value) / scale); input.title = input.value + unit; });
+      row.append(text, input);
+      container.appendChild(row);
+    }
+    slider("Button size", "scale", 100, "%");
+    slider("Opacity", "opacity", 100, "%");
+    slider("Distance from sides", "padX", 1, "px");
+    slider("Distance from bottom", "padY", 1, "px");
+
+    const hint = document.createElement("p");
+    hint.className = "hint";
+    hint.textContent = {
+      buttons: "Slide between buttons without lifting your finger.",
+      joystick: "Left half: drag to steer, push far to thrust. Right half: fire.",
+      aim: "Touch where to shoot; the ship turns and fires. Thrust button still moves you."
+    }[t.scheme];
+    container.appendChild(hint);
+
+    const reset = document.createElement("button");
+    reset.textContent = "Reset touch layout";
+    reset.addEventListener("click", () => { manager.resetTouch(); renderTouchSettings(container, manager); });
+    container.appendChild(reset);
+  }
+
+  return {
+    STORAGE_KEY, TOUCH_KEY, ACTIONS, ACTION_LABELS, SCHEMES, SCHEME_LABELS, DEFAULT_BINDINGS, FIRE_REPEAT_TICKS,
+    normalizeBindings, keyLabel, padLabel, angleDiff, createInputManager, renderBindingsEditor, renderTouchSettings
+  };
+});
@@ -0,0 +1,398 @@
+// render.js
+// Rendering layer: themes, post effects, screen shake and particles for the canvas
+// - Themes: one palette per look (classic vector, neon CRT, high contrast); game.js asks the
+//   palette for every colour instead of hard-coding them in each draw function
+// - Neon CRT: the frame is drawn to an offscreen canvas, then composited onto the screen with a
+//   blurred copy (bloom) and scanlines; its phosphor trail keeps part of the last frame
+// - Screen shake on big explosions, decaying with wall-clock time
+// - Particles: sparks, line debris (ship and saucer break-up) and thrust exhaust
+// - Reduced motion: no shake, no trails or exhaust, half the sparks
+//   (defaults to the system's prefers-reduced-motion setting)
+// - Theme and reduced motion are saved in localStorage
+// - Loads as a plain <script> (window.AsteroidsRender)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsRender = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.video";
+  const SETTINGS_VERSION = 1;
+
+  // -------------------------
+  // Themes
+  // Colours are #rrggbb (withAlpha() makes the translucent variants). glow scales shadowBlur,
+  // line scales stroke widths, dim is the alpha of secondary text, trail is the share of the
+  // previous frame kept (phosphor persistence).
+  // -------------------------
+  const THEMES = {
+    classic: {
+      background: "#000000", text: "#ffffff", dim: 0.5, accent: "#ffd264", danger: "#ff3030",
+      players: ["#ffffff", "#82ffa0"], glowColor: "#3ca0ff",
+      asteroid: "#ffffff", saucer: "#ffffff", saucerFill: "#c8c8ff", saucerBullet: "#ff6464",
+      laser: "#ff6ef0", shield: "#78c8ff", flame: "#ffa500", exhaust: "#ffb040",
+      spark: "#ffd264", debris: "#ffffff",
+      powerUps: { rapid: "#ffdc5a", spread: "#5adcff", laser: "#ff6ef0", bomb: "#ff5a5a", life: "#82ffa0" },
+      glow: 1, line: 1, trail: 0, bloom: false, scanlines: false
+    },
+    neon: {
+      background: "#05020f", text: "#e8f6ff", dim: 0.55, accent: "#ffe03c", danger: "#ff2a6d",
+      players: ["#00f6ff", "#b6ff3c"], glowColor: "#00f6ff",
+      asteroid: "#ff3cf0", saucer: "#ffe03c", saucerFill: "#ffe03c", saucerBullet: "#ff5050",
+      laser: "#ff6ef0", shield: "#66e0ff", flame: "#ff8a00", exhaust: "#ff6a00",
+      spark: "#ffd264", debris: "#00f6ff",
+      powerUps: { rapid: "#ffe03c", spread: "#00f6ff", laser: "#ff3cf0", bomb: "#ff2a6d", life: "#b6ff3c" },
+      glow: 2, line: 1, trail: 0.35, bloom: true, scanlines: true
+    },
+    // no glow or trails, thicker lines, every colour fully saturated against black
+    contrast: {
+      background: "#000000", text: "#ffffff", dim: 0.85, accent: "#ffff00", danger: "#ff4040",
+      players: ["#ffffff", "#ffff00"], glowColor: "#000000",
+      asteroid: "#ffffff", saucer: "#00ffff", saucerFill: "#000000", saucerBullet: "#ff4040",
+      laser: "#ff00ff", shield: "#00ffff", flame: "#ffff00", exhaust: "#ffff00",
+      spark: "#ffff00", debris: "#ffffff",
+      powerUps: { rapid: "#ffff00", spread: "#00ffff", laser: "#ff00ff", bomb: "#ff4040", life: "#00ff00" },
+      glow: 0, line: 1.5, trail: 0, bloom: false, scanlines: false
+    }
+  };
+  const THEME_LABELS = { classic: "Classic", neon: "Neon CRT", contrast: "High contrast" };
+
+  // "#rrggbb" + alpha -> "rgba(r,g,b,a)"
+  const rgbCache = {};
+  function withAlpha(hex, alpha) {
+    let rgb = rgbCache[hex];
+    if (!rgb) {
+      const n = parseInt(hex.slice(1), 16);
+      rgb = rgbCache[hex] = ((n >> 16) & 255) + "," + ((n >> 8) & 255) + "," + (n & 255);
+    }
+    return "rgba(" + rgb + "," + alpha + ")";
+  }
+
+  function defaultSettings() {
+    const reduce = typeof matchMedia === "function" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+    return { theme: "classic", reducedMotion: !!reduce };
+  }
+
+  function loadSettings(storage) {
+    const out = defaultSettings();
+    try {
+      const data = JSON.parse(storage.getItem(STORAGE_KEY));
+      if (!data || data.version !== SETTINGS_VERSION) return out;
+      if (THEMES[data.theme]) out.theme = data.theme;
+      if (typeof data.reducedMotion === "boolean") out.reducedMotion = data.reducedMotion;
+    } catch (err) {
+      console.warn("Display settings unreadable, using defaults:", err);
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Renderer: owns the screen canvas's context and (for bloom) an offscreen one.
+  // Per frame: update(frameMs), ctx = begin(), draw everything on ctx, end().
+  // -------------------------
+  const SHAKE_MAX_PX = 14;
+  const SHAKE_DECAY = 1.6;   // trauma lost per second
+  const BLOOM_SCALE = 0.25;  // the bloom copy is blurred by drawing it this small and scaling up
+  const BLOOM_ALPHA = 0.7;
+  const SCANLINE_ALPHA = 0.22;
+
+  function createRenderer(canvas, storage, opts = {}) {
+    const onChange = opts.onChange || (() => {});
+    const screen = canvas.getContext("2d");
+    const settings = loadSettings(storage);
+    let cssW = canvas.width, cssH = canvas.height, dpr = 1;
+    let trauma = 0;         // 0..1; shake is trauma squared
+    let shakeX = 0, shakeY = 0;
+
+    // offscreen frame and its small bloom copy, made on first use
+    let frame = null, frameCtx = null, bloom = null, bloomCtx = null, scanlines = null;
+    function makeCanvas(w, h) {
+      const c = document.createElement("canvas");
+      c.width = w; c.height = h;
+      return c;
+    }
+    function sizeOffscreen() {
+      if (!frame) {
+        frame = makeCanvas(1, 1); frameCtx = frame.getContext("2d");
+        bloom = makeCanvas(1, 1); bloomCtx = bloom.getContext("2d");
+      }
+      frame.width = canvas.width; frame.height = canvas.height;
+      bloom.width = Math.max(1, Math.floor(canvas.width * BLOOM_SCALE));
+      bloom.height = Math.max(1, Math.floor(canvas.height * BLOOM_SCALE));
+      frameCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+    // one dark row in every three device pixels
+    function scanlinePattern() {
+      if (!scanlines) {
+        const c = makeCanvas(1, 3);
+        const g = c.getContext("2d");
+        g.fillStyle = "rgba(0,0,0,1)";
+        g.fillRect(0, 2, 1, 1);
+        scanlines = screen.createPattern(c, "repeat");
+      }
+      return scanlines;
+    }
+
+    function save() {
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(Object.assign({ version: SETTINGS_VERSION }, settings)));
+      } catch (err) {
+        console.warn("Display settings not saved:", err);
+      }
+    }
+    function changed() {
+      if (palette().bloom) sizeOffscreen();
+      save();
+      onChange(Object.assign({}, settings));
+    }
+
+    const palette = () => THEMES[settings.theme];
+    const offscreen = () => palette().bloom;
+
+    const renderer = {
+      get settings() { return Object.assign({}, settings); },
+      get palette() { return palette(); },
+      get reducedMotion() { return settings.reducedMotion; },
+      setTheme(name) {
+        if (!THEMES[name]) return;
+        settings.theme = name;
+        changed();
+      },
+      setReducedMotion(on) {
+        settings.reducedMotion = !!on;
+        if (on) trauma = 0;
+        changed();
+      },
+
+      // Call after the canvas's pixel size changes (w, h in CSS px)
+      resize(w, h, ratio) {
+        cssW = w; cssH = h; dpr = ratio;
+        screen.setTransform(dpr, 0, 0, dpr, 0, 0);
+        if (frame || offscreen()) sizeOffscreen();
+      },
+
+      // Add shake (0..1); big explosions add more. Ignored with reduced motion.
+      shake(amount) {
+        if (settings.reducedMotion) return;
+        trauma = Math.min(1, trauma + amount);
+      },
+      // Playfield offset for this frame (CSS px)
+      get shakeOffset() { return [shakeX, shakeY]; },
+
+      update(frameMs) {
+        trauma = Math.max(0, trauma - SHAKE_DECAY * frameMs / 1000);
+        const s = trauma * trauma * SHAKE_MAX_PX;
+        shakeX = s ? (Math.random() * 2 - 1) * s : 0;
+        shakeY = s ? (Math.random() * 2 - 1) * s : 0;
+      },
+
+      // The context to draw this frame on (CSS px transform)
+      begin() {
+        if (!offscreen()) return screen;
+        if (!frame) sizeOffscreen();
+        return frameCtx;
+      },
+
+      // Fill with the theme's background
+      clear(ctx) {
+        ctx.fillStyle = palette().background;
+        ctx.fillRect(0, 0, cssW, cssH);
+      },
+      // Background for the moving playfield: keeps `trail` of the last frame (phosphor)
+      fade(ctx) {
+        const p = palette();
+        const keep = settings.reducedMotion ? 0 : p.trail;
+        ctx.fillStyle = keep ? withAlpha(p.background, 1 - keep) : p.background;
+        ctx.fillRect(0, 0, cssW, cssH);
+      },
+
+      // Glow for the strokes that follow (shadowBlur scaled by the theme)
+      glow(ctx, color, blur) {
+        const g = palette().glow;
+        ctx.shadowBlur = blur * g;
+        ctx.shadowColor = g ? color : "transparent";
+      },
+
+      // Composite the offscreen frame with bloom and scanlines (neon); nothing to do otherwise
+      end() {
+        if (!offscreen() || !frame) return;
+        const w = canvas.width, h = canvas.height;
+        screen.save();
+        screen.setTransform(1, 0, 0, 1, 0, 0);
+        screen.globalCompositeOperation = "source-over";
+        screen.drawImage(frame, 0, 0);
+        bloomCtx.clearRect(0, 0, bloom.width, bloom.height);
+        bloomCtx.drawImage(frame, 0, 0, bloom.width, bloom.height);
+        screen.globalCompositeOperation = "lighter";
+        screen.globalAlpha = BLOOM_ALPHA;
+        screen.imageSmoothingEnabled = true;
+        screen.drawImage(bloom, 0, 0, w, h);
+        screen.globalCompositeOperation = "source-over";
+        screen.globalAlpha = SCANLINE_ALPHA;
+        screen.fillStyle = scanlinePattern();
+        screen.fillRect(0, 0, w, h);
+        screen.restore();
+      }
+    };
+    if (offscreen()) sizeOffscreen();
+    return renderer;
+  }
+
+  // -------------------------
+  // Particles. Colours are palette keys looked up at draw time, so switching theme recolours
+  // what's already flying. update() runs once per simulation tick, draw() every frame.
+  // -------------------------
+  function randRange(min, max) { return Math.random() * (max - min) + min; }
+
+  class Spark {
+    constructor(x, y, color) {
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      this.vx = randRange(-1.5, 1.5);
+      this.vy = randRange(-1.5, 1.5);
+      this.life = this.maxLife = Math.floor(randRange(20, 40));
+      this.size = randRange(1, 3);
+      this.color = color;
+    }
+    update() { this.px = this.x; this.py = this.y; this.x += this.vx; this.y += this.vy; this.life--; }
+    draw(ctx, palette, alpha) {
+      const x = this.px + (this.x - this.px) * alpha;
+      const y = this.py + (this.y - this.py) * alpha;
+      ctx.globalAlpha = Math.max(0, this.life / 40);
+      ctx.fillStyle = palette[this.color];
+      ctx.fillRect(x, y, this.size, this.size);
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // One edge of a broken hull tumbling away from where it broke
+  class LineDebris {
+    constructor(x, y, vx, vy, p0, p1, life, color) {
+      const mx = (p0[0] + p1[0]) / 2, my = (p0[1] + p1[1]) / 2;
+      this.x = x + mx; this.y = y + my;
+      this.px = this.x; this.py = this.y;
+      this.hx = (p1[0] - p0[0]) / 2; this.hy = (p1[1] - p0[1]) / 2;
+      const out = randRange(0.4, 1.1) / (Math.hypot(mx, my) || 1);
+      this.vx = vx * 0.5 + mx * out;
+      this.vy = vy * 0.5 + my * out;
+      this.a = 0; this.pa = 0;
+      this.spin = randRange(-0.12, 0.12);
+      this.life = this.maxLife = life;
+      this.color = color;
+    }
+    update() {
+      this.px = this.x; this.py = this.y; this.pa = this.a;
+      this.x += this.vx; this.y += this.vy;
+      this.a += this.spin;
+      this.life--;
+    }
+    draw(ctx, palette, alpha) {
+      const x = this.px + (this.x - this.px) * alpha;
+      const y = this.py + (this.y - this.py) * alpha;
+      const a = this.pa + (this.a - this.pa) * alpha;
+      const hx = this.hx * Math.cos(a) - this.hy * Math.sin(a);
+      const hy = this.hx * Math.sin(a) + this.hy * Math.cos(a);
+      ctx.globalAlpha = Math.max(0, this.life / this.maxLife);
+      ctx.strokeStyle = palette[this.color];
+      ctx.lineWidth = 2 * palette.line;
+      ctx.beginPath();
+      ctx.moveTo(x - hx, y - hy);
+      ctx.lineTo(x + hx, y + hy);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // Exhaust puff: leaves the tail against the ship's heading, cooling as it fades
+  class Exhaust {
+    constructor(x, y, a, vx, vy) {
+      const spread = randRange(-0.35, 0.35), speed = randRange(1.5, 3);
+      this.x = x; this.y = y;
+      this.px = x; this.py = y;
+      this.vx = vx - Math.cos(a + spread) * speed;
+      this.vy = vy - Math.sin(a + spread) * speed;
+      this.life = this.maxLife = Math.floor(randRange(10, 18));
+    }
+    update() { this.px = this.x; this.py = this.y; this.x += this.vx; this.y += this.vy; this.life--; }
+    draw(ctx, palette, alpha) {
+      const x = this.px + (this.x - this.px) * alpha;
+      const y = this.py + (this.y - this.py) * alpha;
+      const t = this.life / this.maxLife;
+      ctx.globalAlpha = Math.max(0, t);
+      ctx.fillStyle = palette[t > 0.5 ? "flame" : "exhaust"];
+      ctx.fillRect(x - 1, y - 1, 2, 2);
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // max: particle budget; the oldest go first when a burst would overflow it.
+  // renderer (optional) supplies reducedMotion.
+  function createParticles(max, renderer) {
+    let list = [];
+    const reduced = () => !!(renderer && renderer.reducedMotion);
+    function add(items) {
+      if (items.length > max) items = items.slice(items.length - max);
+      const room = max - list.length;
+      if (items.length > room) list.splice(0, items.length - room);
+      list.push(...items);
+    }
+    return {
+      get length() { return list.length; },
+      clear() { list = []; },
+      spark(x, y, amount = 10, color = "spark") {
+        const n = reduced() ? Math.ceil(amount / 2) : amount;
+        const out = [];
+        for (let i = 0; i < n; i++) out.push(new Spark(x, y, color));
+        add(out);
+      },
+      // hull: [[x, y], ...] relative to (x, y); every edge becomes a tumbling line
+      debris(x, y, vx, vy, hull, life, color = "debris") {
+        const out = [];
+        for (let i = 0; i < hull.length; i++) out.push(new LineDebris(x, y, vx, vy, hull[i], hull[(i + 1) % hull.length], life, color));
+        add(out);
+      },
+      exhaust(x, y, a, vx, vy) {
+        if (reduced()) return;
+        add([new Exhaust(x, y, a, vx, vy)]);
+      },
+      update() {
+        for (const p of list) p.update();
+        list = list.filter(p => p.life > 0);
+      },
+      draw(ctx, palette, alpha) { for (const p of list) p.draw(ctx, palette, alpha); }
+    };
+  }
+
+  // -------------------------
+  // Display section of the settings screen
+  // -------------------------
+  function renderVideoSettings(container, renderer) {
+    container.replaceChildren();
+    const s = renderer.settings;
+
+    const themes = document.createElement("div");
+    themes.className = "setting";
+    for (const name of Object.keys(THEMES)) {
+      const btn = document.createElement("button");
+      btn.textContent = THEME_LABELS[name];
+      btn.className = name === s.theme ? "selected" : "";
+      btn.addEventListener("click", () => { renderer.setTheme(name); renderVideoSettings(container, renderer); });
+      themes.appendChild(btn);
+    }
+    container.appendChild(themes);
+
+    const row = document.createElement("label");
+    row.className = "setting";
+    const text = document.createElement("span");
+    text.textContent = "Reduced motion";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = s.reducedMotion;
+    box.addEventListener("change", () => renderer.setReducedMotion(box.checked));
+    row.append(text, box);
+    container.appendChild(row);
+  }
+
+  return { STORAGE_KEY, THEMES, THEME_LABELS, withAlpha, createRenderer, createParticles, renderVideoSettings };
+});
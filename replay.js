@@ -0,0 +1,176 @@
+// replay.js
+// Input recording and deterministic playback
+// - A replay is the core seed + playfield size + every tick's input, run-length encoded
+// - Playing the inputs back through a core Game with the same seed re-runs the game exactly
+// - Loads as a plain <script> (window.AsteroidsReplay) or with require() under Node
+//
+// File format (v4):
+//   { "v": 4, "sim": <SIM_VERSION>, "seed": 123, "w": 1024, "h": 768, "ticks": 5400, "score": 4200,
+//     "mode": "coop", "ff": false,                     // game mode and co-op friendly fire
+//     "mod": "oneLife",                                // daily-challenge rule modifier, or null
+//     "inputs": [[count, rot, flags], ...],            // runs of identical ticks
+//     "inputs2": [[count, rot, flags], ...],           // co-op only: the second ship's runs
+//     "resizes": [[tick, w, h], ...] }                 // playfield changes mid-game
+// flags: 1 thrust, 2 shoot, 4 hyperspace, 8 shield, 16 respawn
+// "sim" is the core's SIM_VERSION; a replay only plays back on the simulation that recorded it.
+// v2 files (no mode, one ship) and v3 files (no modifier) still load.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsReplay = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const FORMAT_VERSION = 4;
+  const READABLE_VERSIONS = [2, 3, 4];
+  const MODES = ["single", "alternate", "coop"];
+  const THRUST = 1, SHOOT = 2, HYPERSPACE = 4, SHIELD = 8, RESPAWN = 16;
+
+  function packFlags(input) {
+    return (input.thrusting ? THRUST : 0) | (input.shoot ? SHOOT : 0) |
+      (input.hyperspace ? HYPERSPACE : 0) | (input.shield ? SHIELD : 0) | (input.respawn ? RESPAWN : 0);
+  }
+
+  // Append one tick's input to a run-length list
+  function pushRun(runs, input) {
+    const rot = input.rot || 0, flags = packFlags(input);
+    const last = runs[runs.length - 1];
+    if (last && last[1] === rot && last[2] === flags) last[0]++;
+    else runs.push([1, rot, flags]);
+  }
+
+  // Records the input of every tick; call record() right before game.step()
+  function createRecorder(game) {
+    const coop = game.mode === "coop";
+    const replay = {
+      v: FORMAT_VERSION,
+      sim: game.simVersion,
+      seed: game.seed,
+      w: game.width,
+      h: game.height,
+      ticks: 0,
+      score: 0,
+      mode: game.mode,
+      ff: game.friendlyFire,
+      mod: game.modifier,
+      inputs: [],
+      resizes: []
+    };
+    if (coop) replay.inputs2 = [];
+    let lastW = game.width, lastH = game.height;
+
+    return {
+      // input: what game.step() gets (an array of two in co-op)
+      record(input) {
+        if (game.width !== lastW || game.height !== lastH) {
+          lastW = game.width; lastH = game.height;
+          replay.resizes.push([replay.ticks, lastW, lastH]);
+        }
+        const inputs = Array.isArray(input) ? input : [input];
+        pushRun(replay.inputs, inputs[0]);
+        if (coop) pushRun(replay.inputs2, inputs[1] || {});
+        replay.ticks++;
+        replay.score = game.score;
+      },
+      get ticks() { return replay.ticks; },
+      // Snapshot as a plain object (score is the score at the last recorded tick)
+      toJSON() {
+        replay.score = game.score;
+        return JSON.parse(JSON.stringify(replay));
+      }
+    };
+  }
+
+  // Validate a parsed replay (or JSON text); throws on anything we can't play
+  function parse(data) {
+    const r = typeof data === "string" ? JSON.parse(data) : data;
+    if (!r || typeof r !== "object") throw new Error("Not a replay file");
+    if (!READABLE_VERSIONS.includes(r.v)) throw new Error("Unsupported replay version: " + r.v);
+    if (!Number.isFinite(r.seed) || !(r.w > 0) || !(r.h > 0) || !Array.isArray(r.inputs)) {
+      throw new Error("Not a replay file");
+    }
+    if (r.v < 3) r.mode = "single";
+    if (!MODES.includes(r.mode)) throw new Error("Unknown game mode: " + r.mode);
+    r.ff = !!r.ff;
+    if (r.mod === undefined) r.mod = null;
+    r.ticks = countTicks(r.inputs);
+    if (r.mode === "coop" && (!Array.isArray(r.inputs2) || countTicks(r.inputs2) !== r.ticks)) {
+      throw new Error("Corrupt replay input data");
+    }
+    if (!Array.isArray(r.resizes)) r.resizes = [];
+    return r;
+  }
+
+  function countTicks(runs) {
+    let ticks = 0;
+    for (const run of runs) {
+      if (!Array.isArray(run) || run.length !== 3 || !(run[0] > 0) || !Number.isFinite(run[1]) || !Number.isInteger(run[2])) {
+        throw new Error("Corrupt replay input data");
+      }
+      ticks += run[0];
+    }
+    return ticks;
+  }
+
+  // Steps through one run-length input list a tick at a time
+  function createRunReader(runs) {
+    let run = 0, used = 0;
+    const input = { rot: 0, thrusting: false, shoot: false, hyperspace: false, shield: false, respawn: false };
+    return {
+      rewind() { run = 0; used = 0; },
+      // next tick's input, or null past the end
+      next() {
+        while (run < runs.length && used >= runs[run][0]) { run++; used = 0; }
+        if (run >= runs.length) return null;
+        const r = runs[run];
+        input.rot = r[1];
+        input.thrusting = !!(r[2] & THRUST);
+        input.shoot = !!(r[2] & SHOOT);
+        input.hyperspace = !!(r[2] & HYPERSPACE);
+        input.shield = !!(r[2] & SHIELD);
+        input.respawn = !!(r[2] & RESPAWN);
+        used++;
+        return input;
+      }
+    };
+  }
+
+  // Feeds recorded inputs back one tick at a time.
+  // start(game) resets the game to the recorded seed/size/mode; next(game) returns the
+  // input for the coming tick (an array of two in co-op, applying recorded resizes) or null
+  // when the replay is over.
+  function createPlayer(data) {
+    const replay = parse(data);
+    const readers = [createRunReader(replay.inputs)];
+    if (replay.mode === "coop") readers.push(createRunReader(replay.inputs2));
+    let tick = 0, resize = 0;
+
+    return {
+      replay,
+      start(game) {
+        if ((replay.sim || 1) !== game.simVersion) {
+          throw new Error("Replay was recorded with a different version of the game");
+        }
+        readers.forEach(r => r.rewind());
+        tick = 0; resize = 0;
+        game.resize(replay.w, replay.h);
+        game.reset(replay.seed, { mode: replay.mode, friendlyFire: replay.ff, modifier: replay.mod });
+        if (game.modifier !== replay.mod) throw new Error("Unknown rule modifier: " + replay.mod);
+      },
+      next(game) {
+        if (tick >= replay.ticks) return null;
+        while (resize < replay.resizes.length && replay.resizes[resize][0] === tick) {
+          game.resize(replay.resizes[resize][1], replay.resizes[resize][2]);
+          resize++;
+        }
+        const inputs = readers.map(r => r.next());
+        tick++;
+        return readers.length > 1 ? inputs : inputs[0];
+      },
+      get tick() { return tick; },
+      get done() { return tick >= replay.ticks; }
+    };
+  }
+
+  return { FORMAT_VERSION, createRecorder, createPlayer, parse };
+});
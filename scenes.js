@@ -0,0 +1,91 @@
+// scenes.js
+// Scene state machine and canvas menus for the browser shell
+// - One scene is current; a scene is a plain object of optional hooks:
+//   enter(from, data), exit(to), update(frameMs), render(), action(name), menu(cmd), tap(x, y, touchId)
+// - go(name) replaces the whole stack; push(name) opens a screen over the current one
+//   (settings over pause, say) and pop() returns to it without re-entering it
+// - Menus: a vertical list driven by up/down/select (keys, gamepad) or taps
+// - Loads as a plain <script> (window.AsteroidsScenes)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsScenes = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function createSceneMachine(scenes) {
+    const stack = []; // scene names, current last
+
+    function call(name, hook, args) {
+      const scene = scenes[name];
+      return scene && scene[hook] ? scene[hook].apply(scene, args) : undefined;
+    }
+
+    return {
+      get name() { return stack[stack.length - 1] || null; },
+      // the scene underneath an overlay (for drawing the frozen game behind a panel)
+      get below() { return stack[stack.length - 2] || null; },
+      is(...names) { return names.includes(this.name); },
+
+      go(name, data) {
+        const from = this.name;
+        while (stack.length) call(stack.pop(), "exit", [name]);
+        stack.push(name);
+        call(name, "enter", [from, data]);
+      },
+      push(name, data) {
+        const from = this.name;
+        stack.push(name);
+        call(name, "enter", [from, data]);
+      },
+      pop() {
+        if (stack.length < 2) return;
+        const name = stack.pop();
+        call(name, "exit", [this.name]);
+      },
+
+      // Run a hook on the current scene
+      dispatch(hook, ...args) { return call(this.name, hook, args); },
+      // Run a hook on a named scene (an overlay drawing what's below it)
+      call(name, hook, ...args) { return call(name, hook, args); }
+    };
+  }
+
+  // items: [{ label, run(), hidden() }] (label may be a function); hidden items are skipped
+  function createMenu(items) {
+    let index = 0;
+    let rects = []; // [{ item, x, y, w, h }] from the last draw, for taps
+
+    const visible = () => items.filter(it => !(it.hidden && it.hidden()));
+
+    return {
+      get items() { return visible(); },
+      get selected() { const v = visible(); return v[Math.min(index, v.length - 1)]; },
+      reset() { index = 0; },
+      move(dir) {
+        const n = visible().length;
+        if (n) index = (Math.min(index, n - 1) + dir + n) % n;
+      },
+      select() { const it = this.selected; if (it) it.run(); },
+      // up/down/select from input.js; returns true if the command was used
+      command(cmd) {
+        if (cmd === "up") this.move(-1);
+        else if (cmd === "down") this.move(1);
+        else if (cmd === "select") this.select();
+        else return false;
+        return true;
+      },
+      label(it) { return typeof it.label === "function" ? it.label() : it.label; },
+      setRects(r) { rects = r; },
+      tapAt(x, y) {
+        const hit = rects.find(r => x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h);
+        if (!hit) return false;
+        index = visible().indexOf(hit.item);
+        hit.item.run();
+        return true;
+      }
+    };
+  }
+
+  return { createSceneMachine, createMenu };
+});
@@ -0,0 +1,132 @@
+// sim-check.js
+// Determinism check for the headless core (core.js): the same seed and inputs must give the
+// same game
+// - Plays each entry of RUNS from SEED for TICKS ticks (or to game over) with a scripted input
+//   stream drawn from its own seeded RNG, twice, and compares every number on the game and its
+//   entities between the two runs
+// - Then compares the end state with EXPECTED, recorded on the current Core.SIM_VERSION, so a
+//   change that alters how games play without bumping SIM_VERSION (and so leaves old replays
+//   to desync) shows up here as well
+// - Usage: `node sim-check.js` checks (exit code 1 on any difference);
+//   `node sim-check.js --record` prints a fresh EXPECTED block to paste in after bumping SIM_VERSION
+// - Development only: not loaded by the page or precached
+
+"use strict";
+
+const Core = require("./core");
+
+const SEED = 12345;
+const TICKS = 60 * Core.FRAME_RATE; // a minute of play
+
+// name -> extra createGame options: one run per mode and one per daily-challenge modifier
+const RUNS = {};
+for (const mode of Core.MODES) RUNS[mode] = { mode };
+for (const modifier of Core.MODIFIERS) RUNS[modifier] = { modifier };
+
+// End state per run ("tick T score S #digest"), recorded on simulation version `sim`
+const EXPECTED = {
+  sim: 12,
+  single: "tick 3600 score 9000 #eb78032e",
+  alternate: "tick 3600 score 1780 #8225a093",
+  coop: "tick 3600 score 10590 #8b38b7a0",
+  noThrust: "tick 3176 score 8500 #20a15b55",
+  oneLife: "tick 2536 score 5030 #470c61f6",
+  fastRocks: "tick 3600 score 8450 #e7b90a3f",
+  saucersOnly: "tick 2033 score 9000 #06030008"
+};
+
+// One tick's input, drawn from rng so both runs see the same stream
+function scriptedInput(rng) {
+  return {
+    rot: (rng.next() - 0.5) * Core.SHIP_ROT * 2,
+    thrusting: rng.next() < 0.4,
+    shoot: rng.next() < 0.2,
+    hyperspace: rng.next() < 0.005,
+    shield: rng.next() < 0.1,
+    respawn: rng.next() < 0.05
+  };
+}
+
+// Every number and flag on the game and on each entity it holds (positions, velocities, timers,
+// lives...), plus the RNG state: enough that any drift shows
+function snapshot(game) {
+  const plain = obj => {
+    const out = {};
+    for (const [key, v] of Object.entries(obj)) {
+      if (typeof v === "number" || typeof v === "boolean") out[key] = v;
+    }
+    return out;
+  };
+  const out = plain(game);
+  out.score = game.score;
+  out.rng = game.rng.state;
+  for (const [key, v] of Object.entries(game)) {
+    if (Array.isArray(v)) out[key] = v.map(e => (e && typeof e === "object" ? plain(e) : e));
+    else if (v && typeof v === "object" && key !== "rng") out[key] = plain(v);
+  }
+  return out;
+}
+
+function play(opts) {
+  const game = Core.createGame(Object.assign({ seed: SEED, width: 1024, height: 768 }, opts));
+  const rng = Core.createRng(SEED ^ 0x5eed);
+  for (let t = 0; t < TICKS && !game.gameOver; t++) {
+    // co-op steps every ship; the other modes fly one ship at a time
+    game.step(game.mode === "coop" ? game.ships.map(() => scriptedInput(rng)) : scriptedInput(rng));
+  }
+  return snapshot(game);
+}
+
+// 32-bit FNV-1a of a string, as 8 hex digits
+function digest(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function summary(state) {
+  return "tick " + state.tick + " score " + state.score + " #" + digest(JSON.stringify(state));
+}
+
+// Path and values of the first field that differs, or null
+function firstDifference(a, b, path = "") {
+  if (typeof a !== "object" || a === null) return Object.is(a, b) ? null : { path, a, b };
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b || {})])) {
+    const diff = firstDifference(a[key], (b || {})[key], path ? path + "." + key : key);
+    if (diff) return diff;
+  }
+  return null;
+}
+
+const record = process.argv.includes("--record");
+const stale = EXPECTED.sim !== Core.SIM_VERSION;
+const results = {};
+let failed = false;
+if (stale && !record) {
+  failed = true;
+  console.log("EXPECTED was recorded on simulation " + EXPECTED.sim + ", core is " +
+    Core.SIM_VERSION + ": re-record with --record");
+}
+for (const [name, opts] of Object.entries(RUNS)) {
+  const first = play(opts), second = play(opts);
+  const diff = firstDifference(first, second);
+  results[name] = summary(first);
+  if (diff) {
+    failed = true;
+    console.log(name + ": NOT DETERMINISTIC at " + diff.path + ": " + diff.a + " vs " + diff.b);
+  } else if (!record && !stale && results[name] !== EXPECTED[name]) {
+    failed = true;
+    console.log(name + ": " + results[name] + ", expected " + EXPECTED[name] +
+      ": if deliberate, re-record (bumping Core.SIM_VERSION first if old replays now play differently)");
+  } else {
+    console.log(name + ": ok, " + results[name]);
+  }
+}
+
+if (record) {
+  console.log("\nconst EXPECTED = {");
+  console.log("  sim: " + Core.SIM_VERSION + ",");
+  console.log(Object.entries(results).map(([name, s]) => "  " + name + ": " + JSON.stringify(s)).join(",\n"));
+  console.log("};");
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,193 @@
+// stats.js
+// Lifetime statistics: what every finished game adds up to
+// - Fed the core's events tick by tick (and the ships, for distance thrusted); a game counts
+//   once it reaches game over (quitting to the title drops it)
+// - Per game: shots and hits (accuracy), asteroids by size, saucers, deaths by cause, time
+//   survived, distance thrusted and highest wave. Two-player games count both players.
+// - Stored in localStorage as { version, totals, best, history } (history: the last 50 games)
+// - Missing, corrupt or unknown-version data loads as empty stats instead of throwing
+// - export()/import() move the same JSON between devices; import replaces what's here
+// - Loads as a plain <script> after store.js (window.AsteroidsStats) or with require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./store"));
+  else root.AsteroidsStats = factory(root.AsteroidsStore);
+})(typeof self !== "undefined" ? self : this, function (Store) {
+  "use strict";
+
+  const STORAGE_KEY = "asteroids.stats";
+  const SCHEMA_VERSION = 1;
+  const HISTORY_MAX = 50;
+  const BEST_ACCURACY_MIN_SHOTS = 20; // a game needs this many shots for its accuracy to be a record
+  const SIZES = ["large", "medium", "small"];
+  const DEATH_CAUSES = ["asteroid", "saucerBullet", "hyperspace", "friendlyFire"];
+  const DEATH_LABELS = { asteroid: "Asteroid", saucerBullet: "Saucer shot", hyperspace: "Hyperspace", friendlyFire: "Friendly fire" };
+  const MODES = ["single", "alternate", "coop"];
+
+  // The counters one game adds to the totals
+  function freshCounts() {
+    return {
+      shots: 0,
+      hits: 0,
+      asteroids: { large: 0, medium: 0, small: 0 },
+      saucers: 0,
+      deaths: { asteroid: 0, saucerBullet: 0, hyperspace: 0, friendlyFire: 0 },
+      duration: 0,  // ms of game time
+      distance: 0   // playfield px flown under thrust
+    };
+  }
+
+  function freshTotals() { return Object.assign({ games: 0, wave: 0 }, freshCounts()); }
+
+  // Records are { value, date } so the screen can say when they were set
+  function freshBest() { return { score: null, duration: null, accuracy: null, asteroids: null, wave: null }; }
+
+  function accuracy(c) { return c.shots ? c.hits / c.shots : 0; }
+  function asteroidCount(c) { return SIZES.reduce((n, s) => n + c.asteroids[s], 0); }
+
+  const count = v => Number.isFinite(v) && v >= 0;
+  function validCounts(c) {
+    return c && typeof c === "object" && count(c.shots) && count(c.hits) && count(c.saucers) &&
+      count(c.duration) && count(c.distance) &&
+      c.asteroids && SIZES.every(s => count(c.asteroids[s])) &&
+      c.deaths && DEATH_CAUSES.every(d => count(c.deaths[d]));
+  }
+  function validGame(g) {
+    return validCounts(g) && MODES.includes(g.mode) && count(g.score) && count(g.wave) &&
+      typeof g.date === "string" && !isNaN(Date.parse(g.date));
+  }
+  function validRecord(r) {
+    return r === null || (r && typeof r === "object" && count(r.value) && typeof r.date === "string");
+  }
+
+  // Check a parsed stats object; returns { totals, best, history } or null
+  function validate(data) {
+    if (!data || data.version !== SCHEMA_VERSION) return null;
+    const { totals, best, history } = data;
+    if (!validCounts(totals) || !count(totals.games) || !count(totals.wave)) return null;
+    if (!best || typeof best !== "object" || !Object.keys(freshBest()).every(k => validRecord(best[k]))) return null;
+    if (!Array.isArray(history)) return null;
+    return {
+      totals: Object.assign(freshTotals(), totals),
+      best: Object.assign(freshBest(), best),
+      history: history.filter(validGame).slice(-HISTORY_MAX)
+    };
+  }
+
+  function add(into, c) {
+    for (const k of ["shots", "hits", "saucers", "duration", "distance"]) into[k] += c[k];
+    for (const s of SIZES) into.asteroids[s] += c.asteroids[s];
+    for (const d of DEATH_CAUSES) into.deaths[d] += c.deaths[d];
+  }
+
+  function createStats(storage) {
+    const store = Store.createStore(storage, STORAGE_KEY, SCHEMA_VERSION, "Stats");
+    let data = load();
+    let current = null; // the game being played, until its game over
+
+    function load() {
+      return store.load(validate) || { totals: freshTotals(), best: freshBest(), history: [] };
+    }
+
+    function save() { store.save(data); }
+
+    function setBest(key, value, date) {
+      const r = data.best[key];
+      if (!r || value > r.value) data.best[key] = { value, date };
+    }
+
+    // Fold the finished game into the totals, records and history
+    function finish(ev) {
+      const game = current;
+      current = null;
+      game.date = new Date().toISOString();
+      // taking turns, the game is as good as its better player
+      game.score = ev.mode === "alternate" ? Math.max(...ev.scores) : ev.score;
+      game.duration = Math.round(ev.duration);
+      game.distance = Math.round(game.distance);
+      data.totals.games++;
+      data.totals.wave = Math.max(data.totals.wave, game.wave);
+      add(data.totals, game);
+      setBest("score", game.score, game.date);
+      setBest("duration", game.duration, game.date);
+      setBest("wave", game.wave, game.date);
+      setBest("asteroids", asteroidCount(game), game.date);
+      if (game.shots >= BEST_ACCURACY_MIN_SHOTS) setBest("accuracy", accuracy(game), game.date);
+      data.history.push(game);
+      if (data.history.length > HISTORY_MAX) data.history.splice(0, data.history.length - HISTORY_MAX);
+      save();
+    }
+
+    return {
+      get totals() { return JSON.parse(JSON.stringify(data.totals)); },
+      get best() { return JSON.parse(JSON.stringify(data.best)); },
+      // oldest first
+      get history() { return data.history.slice(); },
+
+      // A new game starts counting (mode: "single" | "alternate" | "coop")
+      begin(mode) {
+        current = Object.assign({ mode, score: 0, wave: 1 }, freshCounts());
+      },
+
+      // One tick of the game being counted: its events, plus the ships for distance thrusted
+      observe(game, events) {
+        if (!current) return;
+        for (const s of game.ships) {
+          if (s.thrusting && !s.dead) current.distance += Math.hypot(s.vx, s.vy);
+        }
+        for (const ev of events) {
+          switch (ev.type) {
+            case "shot":
+              current.shots += ev.count;
+              break;
+            case "asteroidDestroyed":
+              if (ev.player === null || ev.player === undefined) break;
+              current.asteroids[ev.size]++;
+              // a laser going through several rocks is one hit
+              if (!ev.cause && !ev.pierced) current.hits++;
+              break;
+            case "saucerDestroyed":
+              if (ev.player === null || ev.player === undefined) break;
+              current.saucers++;
+              if (ev.cause === "bullet" && !ev.pierced) current.hits++;
+              break;
+            case "shipDestroyed":
+              if (ev.cause in current.deaths) current.deaths[ev.cause]++;
+              break;
+            case "levelStarted":
+              current.wave = Math.max(current.wave, ev.level);
+              break;
+            case "gameOver":
+              finish(ev);
+              return;
+          }
+        }
+      },
+
+      // The stored JSON (what import() takes)
+      export() { return JSON.stringify(Object.assign({ version: SCHEMA_VERSION }, data), null, 2); },
+
+      // Replace the stats with an exported file's; throws if it isn't one
+      import(text) {
+        let parsed;
+        try {
+          parsed = typeof text === "string" ? JSON.parse(text) : text;
+        } catch (err) {
+          throw new Error("Not a stats file");
+        }
+        const valid = validate(parsed);
+        if (!valid) throw new Error("Not a stats file");
+        data = valid;
+        save();
+      },
+
+      clear() { data = { totals: freshTotals(), best: freshBest(), history: [] }; save(); },
+      reload() { data = load(); }
+    };
+  }
+
+  return {
+    STORAGE_KEY, SCHEMA_VERSION, HISTORY_MAX, BEST_ACCURACY_MIN_SHOTS, SIZES, DEATH_CAUSES, DEATH_LABELS,
+    accuracy, asteroidCount, createStats
+  };
+});
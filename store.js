@@ -0,0 +1,47 @@
+// store.js
+// Versioned JSON records in localStorage, shared by the high-score table, stats, achievements
+// and daily bests
+// - load() hands a record of the right version to the caller's read(); missing data gives null
+//   quietly, corrupt or unreadable data gives null with a warning
+// - save() writes { version, ...data }; blocked or full storage warns instead of throwing
+// - Storage is passed in so records also work under Node (any getItem/setItem object)
+// - Loads as a plain <script> (window.AsteroidsStore) or with require() under Node
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AsteroidsStore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // label names the record in warnings ("High scores")
+  function createStore(storage, key, version, label) {
+    return {
+      // read(data): the usable value from a parsed record, or null if it isn't one
+      load(read) {
+        let raw = null;
+        try { raw = storage && storage.getItem(key); } catch (err) { /* storage blocked */ }
+        if (!raw) return null;
+        let data;
+        try {
+          data = JSON.parse(raw);
+        } catch (err) {
+          console.warn(label + " corrupt; starting fresh", err);
+          return null;
+        }
+        const value = data && data.version === version ? read(data) : null;
+        if (!value) console.warn(label + " in unknown format; starting fresh");
+        return value || null;
+      },
+
+      save(data) {
+        try {
+          storage.setItem(key, JSON.stringify(Object.assign({ version }, data)));
+        } catch (err) {
+          console.warn(label + " not saved:", err);
+        }
+      }
+    };
+  }
+
+  return { createStore };
+});
@@ -1,10 +1,69 @@
-const CACHE_NAME = "asteroids-pwa-v1";
-const URLS_TO_CACHE = ["./", "./index.html", "./game.js", "./manifest.json"];
+// sw.js
+// Offline support: every game asset is precached under a versioned cache name.
+// - Bump CACHE_VERSION whenever a precached file changes, so clients fetch the new copy; the
+//   page then shows "update available, tap to reload"
+// - Add new files to PRECACHE (a missing file fails the whole install, so list only real files)
+// - Old asteroids-* caches are deleted when the new worker activates
+
+const CACHE_VERSION = 17;
+const CACHE_PREFIX = "asteroids-pwa-";
+const CACHE_NAME = CACHE_PREFIX + "v" + CACHE_VERSION;
+const PRECACHE = [
+  "./",
+  "./index.html",
+  "./manifest.json",
+  "./icon.svg",
+  "./collision.js",
+  "./core.js",
+  "./replay.js",
+  "./store.js",
+  "./highscores.js",
+  "./stats.js",
+  "./achievements.js",
+  "./daily.js",
+  "./debug.js",
+  "./input.js",
+  "./audio.js",
+  "./scenes.js",
+  "./render.js",
+  "./game.js",
+  "./fire.mp3",
+  "./explode.mp3",
+  "./saucer.mp3"
+];
 
 self.addEventListener("install", e => {
-  e.waitUntil(caches.open(CACHE_NAME).then(c => c.addAll(URLS_TO_CACHE)));
+  // no skipWaiting here: the page asks the player first, so a game in progress isn't reloaded
+  e.waitUntil(caches.open(CACHE_NAME).then(c => c.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts this when the player taps the update prompt
+self.addEventListener("message", e => {
+  if (e.data && e.data.type === "SKIP_WAITING") self.skipWaiting();
 });
 
+// Cache first; query strings (e.g. ?seed=123) still match the cached file.
+// Navigations fall back to the cached index.html when offline.
 self.addEventListener("fetch", e => {
-  e.respondWith(caches.match(e.request).then(r => r || fetch(e.request)));
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  e.respondWith(
+    caches.match(req, { ignoreSearch: true }).then(hit => {
+      if (hit) return hit;
+      return fetch(req).catch(err => {
+        if (req.mode === "navigate") return caches.match("./index.html");
+        throw err;
+      });
+    })
+  );
 });